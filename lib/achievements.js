@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import db from './db.js';
+
+// Stats a badge rule can test, computed per user by getUserStats
+export const BADGE_STATS = [
+    'quizzesCompleted',
+    'perfectQuizzes',
+    'questionsAnswered',
+    'correctAnswers',
+    'currentStreak',
+    'longestStreak',
+    'pollsAnswered'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Load badge definitions from BADGES_FILE. Each badge is awarded once the
+// user's `rule.stat` reaches `rule.min`.
+export function loadBadgeRules(env = process.env) {
+    const file = path.resolve(process.cwd(), env.BADGES_FILE || 'config/badges.json');
+    const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const ids = new Set();
+    for (const badge of definitions) {
+        if (typeof badge.id !== 'string' || !badge.id || ids.has(badge.id)) {
+            throw new Error(`Badge ids must be unique, non-empty strings (got ${JSON.stringify(badge.id)})`);
+        }
+        if (!BADGE_STATS.includes(badge.rule?.stat) || typeof badge.rule.min !== 'number') {
+            throw new Error(`Badge ${badge.id} needs a rule with a "stat" (one of ${BADGE_STATS.join(', ')}) and a numeric "min"`);
+        }
+        ids.add(badge.id);
+    }
+
+    console.log(`Loaded ${definitions.length} badge rules`);
+    return definitions;
+}
+
+// UTC calendar day of a timestamp, e.g. "2025-03-14"
+function dayOf(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Daily streaks from the days a user completed at least one quiz. The
+// current streak is still alive if the last active day was today or
+// yesterday, so it doesn't reset before the user has had a chance to play.
+export function computeStreaks(timestamps, now = Date.now()) {
+    const days = [...new Set(timestamps.map(dayOf))].sort();
+    let longestStreak = 0;
+    let run = 0;
+    let previous = null;
+
+    for (const day of days) {
+        run = previous && Date.parse(day) - Date.parse(previous) === DAY_MS ? run + 1 : 1;
+        longestStreak = Math.max(longestStreak, run);
+        previous = day;
+    }
+
+    const lastDay = days[days.length - 1];
+    const alive = lastDay === dayOf(now) || lastDay === dayOf(now - DAY_MS);
+    return {
+        currentStreak: alive ? run : 0,
+        longestStreak,
+        lastActiveDay: lastDay || null
+    };
+}
+
+// Quiz and poll stats for a user
+export function getUserStats(userId, now = Date.now()) {
+    const attempts = db.data.quizAttempts.filter(attempt => attempt.userId === userId);
+    return {
+        quizzesCompleted: attempts.length,
+        perfectQuizzes: attempts.filter(attempt => attempt.correct === attempt.total).length,
+        questionsAnswered: attempts.reduce((sum, attempt) => sum + attempt.total, 0),
+        correctAnswers: attempts.reduce((sum, attempt) => sum + attempt.correct, 0),
+        ...computeStreaks(attempts.map(attempt => attempt.createdAt), now),
+        pollsAnswered: db.data.votes.filter(vote => vote.userId === userId).length
+    };
+}
+
+function userAwards(userId) {
+    return new Map(
+        db.data.badgeAwards
+            .filter(award => award.userId === userId)
+            .map(award => [award.badgeId, award.awardedAt])
+    );
+}
+
+// Public fields of a badge, with when the user earned it
+function formatBadge(badge, awardedAt) {
+    return {
+        id: badge.id,
+        name: badge.name,
+        description: badge.description,
+        icon: badge.icon || null,
+        earned: Boolean(awardedAt),
+        awardedAt: awardedAt || null
+    };
+}
+
+// Award every badge whose rule the user now meets. Returns the badges that
+// were newly awarded.
+export function awardBadges(userId, rules) {
+    const stats = getUserStats(userId);
+    const awarded = userAwards(userId);
+    const now = new Date().toISOString();
+
+    const newBadges = rules.filter(badge => !awarded.has(badge.id) && stats[badge.rule.stat] >= badge.rule.min);
+    if (newBadges.length) {
+        for (const badge of newBadges) {
+            db.data.badgeAwards.push({ userId, badgeId: badge.id, awardedAt: now });
+        }
+        db.save();
+        console.log(`Awarded badges to ${userId}:`, newBadges.map(badge => badge.id).join(', '));
+    }
+    return newBadges.map(badge => formatBadge(badge, now));
+}
+
+// A user's stats and every badge, earned or not
+export function getAchievements(userId, rules) {
+    const awarded = userId ? userAwards(userId) : new Map();
+    return {
+        stats: userId ? getUserStats(userId) : { ...Object.fromEntries(BADGE_STATS.map(stat => [stat, 0])), lastActiveDay: null },
+        badges: rules.map(badge => formatBadge(badge, awarded.get(badge.id)))
+    };
+}
+
+// Move badge awards from one user to another, keeping the earlier award
+// when both have the same badge
+export function transferBadgeAwards(fromUserId, toUserId) {
+    const earliest = new Map();
+    for (const award of db.data.badgeAwards) {
+        if (award.userId !== fromUserId && award.userId !== toUserId) continue;
+        const kept = earliest.get(award.badgeId);
+        if (!kept || award.awardedAt < kept.awardedAt) {
+            earliest.set(award.badgeId, award);
+        }
+    }
+
+    db.data.badgeAwards = [
+        ...db.data.badgeAwards.filter(award => award.userId !== fromUserId && award.userId !== toUserId),
+        ...[...earliest.values()].map(award => ({ ...award, userId: toUserId }))
+    ];
+    db.save();
+}
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import db from './db.js';
+import { getArticleId } from './polls.js';
+
+// Hash of the article text an analysis was made from. An article whose title
+// or description changes gets analyzed again.
+function contentHash(article) {
+    return crypto
+        .createHash('sha256')
+        .update(`${article.title || ''}\n${article.description || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function analysisKey(kind, article) {
+    return `${kind}:${getArticleId(article.url)}`;
+}
+
+// Stored result of an LLM analysis of an article, or null. `kind` names the
+// analysis, e.g. "bias" or "summary:expert".
+export function getAnalysis(kind, article) {
+    const entry = db.data.analyses[analysisKey(kind, article)];
+    if (!entry || entry.contentHash !== contentHash(article)) {
+        return null;
+    }
+    return entry.result;
+}
+
+// Stored result of an analysis by article ID, whatever text it was made from
+export function getAnalysisById(kind, articleId) {
+    return db.data.analyses[`${kind}:${articleId}`]?.result || null;
+}
+
+// Store the result of an analysis
+export function saveAnalysis(kind, article, result) {
+    db.data.analyses[analysisKey(kind, article)] = {
+        kind,
+        articleId: getArticleId(article.url),
+        contentHash: contentHash(article),
+        result,
+        createdAt: new Date().toISOString()
+    };
+    db.save();
+    return result;
+}
+
+// Analyses currently being generated, so concurrent requests for the same
+// article share a single LLM call
+const pendingAnalyses = new Map();
+
+// Get a stored analysis, running `generate` and storing its result on first
+// request
+export async function getOrCreateAnalysis(kind, article, generate) {
+    const stored = getAnalysis(kind, article);
+    if (stored) {
+        console.log(`Using stored ${kind} analysis for:`, article.title);
+        return stored;
+    }
+
+    const key = analysisKey(kind, article);
+    if (!pendingAnalyses.has(key)) {
+        const pending = generate(article)
+            .then(result => saveAnalysis(kind, article, result))
+            .finally(() => pendingAnalyses.delete(key));
+        pendingAnalyses.set(key, pending);
+    }
+    return pendingAnalyses.get(key);
+}
@@ -0,0 +1,29 @@
+import { getArticleId } from './polls.js';
+
+// Articles the server has served from its news sources, by article ID. Polls
+// are generated from these copies, never from the article a client sends, so
+// no client decides the title or link stored with a poll every reader sees.
+// The oldest articles are forgotten once `maxArticles` is reached.
+export function createArticleRegistry({ maxArticles = 5000 } = {}) {
+    const articles = new Map();
+
+    // Remember articles served in a news response
+    function remember(list) {
+        for (const article of list) {
+            const id = getArticleId(article.url);
+            // Re-inserting moves the article to the newest end
+            articles.delete(id);
+            articles.set(id, article);
+        }
+        while (articles.size > maxArticles) {
+            articles.delete(articles.keys().next().value);
+        }
+    }
+
+    // The served copy of an article, or null if the server hasn't served it
+    function find(url) {
+        return articles.get(getArticleId(url)) || null;
+    }
+
+    return { remember, find };
+}
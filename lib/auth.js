@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import db from './db.js';
+import { transferVotes } from './polls.js';
+import { transferQuizAttempts } from './quizzes.js';
+import { transferBadgeAwards } from './achievements.js';
+import { transferTopics } from './topics.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Name of the signed cookie holding the session token
+export const SESSION_COOKIE = 'pollit_session';
+
+// Sessions last a year; anonymous device sessions are meant to stick around
+const SESSION_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+// Quotes, angle brackets and slashes are refused so an address can't carry
+// markup
+const EMAIL_PATTERN = /^[^\s@<>"'`/]+@[^\s@<>"'`/]+\.[^\s@<>"'`/]+$/;
+
+// Hash a password with a random salt using scrypt
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Check a password against a stored hash in constant time
+export async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Public fields of a user
+export function formatUser(user) {
+    return {
+        id: user.id,
+        email: user.email || null,
+        anonymous: !user.email,
+        createdAt: user.createdAt
+    };
+}
+
+function findUserByEmail(email) {
+    return Object.values(db.data.users).find(user => user.email === email) || null;
+}
+
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    db.data.sessions[token] = { userId, createdAt: new Date().toISOString() };
+    db.save();
+    return token;
+}
+
+// Set the session cookie. Cross-site frontends (GitHub Pages) only send the
+// cookie back with SameSite=None, which browsers only allow on HTTPS.
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        signed: true,
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: req.secure ? 'none' : 'lax',
+        maxAge: SESSION_MAX_AGE_MS
+    });
+}
+
+// Start a new session for a user and send its cookie
+function startSession(req, res, userId) {
+    const previous = req.signedCookies?.[SESSION_COOKIE];
+    if (previous) {
+        delete db.data.sessions[previous];
+    }
+    setSessionCookie(req, res, createSession(userId));
+}
+
+// Attach req.user from the session cookie, or null when there is none
+export function attachUser(req, res, next) {
+    const token = req.signedCookies?.[SESSION_COOKIE];
+    const session = token && db.data.sessions[token];
+    req.user = (session && db.data.users[session.userId]) || null;
+    next();
+}
+
+// Make sure the request has a user, creating an anonymous device session
+// for first-time visitors
+export function ensureUser(req, res, next) {
+    if (!req.user) {
+        const user = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString()
+        };
+        db.data.users[user.id] = user;
+        startSession(req, res, user.id);
+        req.user = user;
+        console.log('Created anonymous user:', user.id);
+    }
+    next();
+}
+
+// Validate email/password input, returning an error message or null
+function validateCredentials(email, password) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email) || email.length > 254) {
+        return 'A valid email is required';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > 200) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Create an account. An anonymous visitor's user record is upgraded in place
+// so the votes they already cast now belong to the account.
+export async function signUp(req, res) {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { password } = req.body;
+
+    const invalid = validateCredentials(email, password);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    if (findUserByEmail(email)) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const passwordHash = await hashPassword(password);
+    let user = req.user;
+    if (user && !user.email) {
+        console.log('Upgrading anonymous user to account:', user.id);
+    } else {
+        user = { id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+        db.data.users[user.id] = user;
+    }
+    user.email = email;
+    user.passwordHash = passwordHash;
+
+    startSession(req, res, user.id);
+    res.status(201).json({ user: formatUser(user) });
+}
+
+// Log into an existing account. Votes, quiz attempts, badges and followed
+// topics from anonymous use of this device are merged into the account.
+export async function logIn(req, res) {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { password } = req.body;
+
+    const user = findUserByEmail(email);
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (req.user && !req.user.email && req.user.id !== user.id) {
+        console.log(`Merging anonymous user ${req.user.id} into ${user.id}`);
+        transferVotes(req.user.id, user.id);
+        transferQuizAttempts(req.user.id, user.id);
+        transferBadgeAwards(req.user.id, user.id);
+        transferTopics(req.user.id, user.id);
+        delete db.data.users[req.user.id];
+    }
+
+    startSession(req, res, user.id);
+    res.json({ user: formatUser(user) });
+}
+
+// End the current session
+export function logOut(req, res) {
+    const token = req.signedCookies?.[SESSION_COOKIE];
+    if (token) {
+        delete db.data.sessions[token];
+        db.save();
+    }
+    res.clearCookie(SESSION_COOKIE, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: req.secure ? 'none' : 'lax'
+    });
+    res.status(204).end();
+}
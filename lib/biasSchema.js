@@ -0,0 +1,112 @@
+import { checkString } from './schemaChecks.js';
+
+// Bias dimensions the model scores, with the range of each score.
+//   loadedLanguage  0 (neutral wording) to 100 (heavily emotive wording)
+//   oneSidedness    0 (several viewpoints) to 100 (a single viewpoint)
+//   lean            -100 (left) to 100 (right), 0 is centrist or unclear
+export const BIAS_DIMENSIONS = {
+    loadedLanguage: { min: 0, max: 100 },
+    oneSidedness: { min: 0, max: 100 },
+    lean: { min: -100, max: 100 }
+};
+
+// Limits on the text fields of a generated bias analysis. Phrases are
+// checked against the article after validation, so the list is capped first.
+export const BIAS_SCHEMA = {
+    phrases: { maxItems: 10, item: { minLength: 0, maxLength: 300 } },
+    explanation: { minLength: 1, maxLength: 500 },
+    summary: { minLength: 1, maxLength: 800 }
+};
+
+// Most quoted phrases kept per dimension
+const MAX_PHRASES = 5;
+
+// Lean scores closer to zero than this are labelled center
+const LEAN_THRESHOLD = 20;
+
+export function leanLabel(score) {
+    if (score <= -LEAN_THRESHOLD) return 'left';
+    if (score >= LEAN_THRESHOLD) return 'right';
+    return 'center';
+}
+
+// Validate parsed bias analysis. Returns a list of problems; an empty list
+// means the content is valid.
+export function validateBiasAnalysis(content) {
+    const errors = [];
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        return ['response must be a JSON object'];
+    }
+
+    for (const [name, range] of Object.entries(BIAS_DIMENSIONS)) {
+        const dimension = content[name];
+        if (!dimension || typeof dimension !== 'object') {
+            errors.push(`${name} must be an object with "score", "phrases" and "explanation"`);
+            continue;
+        }
+        if (typeof dimension.score !== 'number' || dimension.score < range.min || dimension.score > range.max) {
+            errors.push(`${name}.score must be a number from ${range.min} to ${range.max}`);
+        }
+        const phrases = BIAS_SCHEMA.phrases;
+        if (!Array.isArray(dimension.phrases)) {
+            errors.push(`${name}.phrases must be an array of strings`);
+        } else if (dimension.phrases.length > phrases.maxItems) {
+            errors.push(`${name}.phrases must contain at most ${phrases.maxItems} items`);
+        } else {
+            dimension.phrases.forEach((phrase, index) => checkString(phrase, phrases.item, `${name}.phrases[${index}]`, errors));
+        }
+        checkString(dimension.explanation, BIAS_SCHEMA.explanation, `${name}.explanation`, errors);
+    }
+
+    checkString(content.summary, BIAS_SCHEMA.summary, 'summary', errors);
+
+    return errors;
+}
+
+// Keep only phrases that really appear in the article text, so the meter
+// never quotes words the article doesn't contain
+function quotedPhrases(phrases, text) {
+    const haystack = text.toLowerCase();
+    const seen = new Set();
+    return phrases
+        .map(phrase => phrase.trim().replace(/^["'“”‘’]+|["'“”‘’]+$/g, ''))
+        .filter(phrase => {
+            const key = phrase.toLowerCase();
+            if (!phrase || seen.has(key) || !haystack.includes(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_PHRASES);
+}
+
+// Parse a model response into a bias analysis of `article`, throwing if it
+// is invalid
+export function parseBiasAnalysis(text, article) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        throw new Error('Response is not valid JSON');
+    }
+
+    const errors = validateBiasAnalysis(content);
+    if (errors.length) {
+        throw new Error(`Response does not match the bias schema: ${errors.join('; ')}`);
+    }
+
+    const articleText = `${article.title || ''}\n${article.description || ''}`;
+    const scores = Object.fromEntries(Object.keys(BIAS_DIMENSIONS).map(name => {
+        const dimension = content[name];
+        return [name, {
+            score: Math.round(dimension.score),
+            phrases: quotedPhrases(dimension.phrases, articleText),
+            explanation: dimension.explanation.trim()
+        }];
+    }));
+    scores.lean.label = leanLabel(scores.lean.score);
+
+    return {
+        ...scores,
+        summary: content.summary.trim()
+    };
+}
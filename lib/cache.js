@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// In-memory cache with stale-while-revalidate semantics:
+//   - entries younger than `ttl` are served as-is
+//   - entries younger than `ttl + staleTtl` are served immediately while a
+//     background refresh replaces them
+//   - older entries (or misses) wait for the loader
+// Passing `file` persists entries to disk so the cache survives restarts.
+export function createSwrCache({ name, ttl, staleTtl = 0, maxEntries = 200, file = null }) {
+    const entries = new Map();
+    const refreshing = new Map();
+    let persistTimer = null;
+
+    if (file) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [key, entry] of saved) {
+                entries.set(key, entry);
+            }
+            console.log(`Loaded ${entries.size} ${name} cache entries from disk`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error loading ${name} cache, starting empty:`, error);
+            }
+        }
+    }
+
+    // Write the cache to disk shortly after the last change
+    function persist() {
+        if (!file || persistTimer) return;
+        persistTimer = setTimeout(async () => {
+            persistTimer = null;
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(`${file}.tmp`, JSON.stringify([...entries]));
+                await fs.promises.rename(`${file}.tmp`, file);
+            } catch (error) {
+                console.error(`Error saving ${name} cache:`, error);
+            }
+        }, 1000);
+        persistTimer.unref();
+    }
+
+    function store(key, value) {
+        const entry = {
+            value,
+            storedAt: Date.now(),
+            etag: `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex')}"`
+        };
+        // Re-insert so Map order doubles as least-recently-stored order
+        entries.delete(key);
+        entries.set(key, entry);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        persist();
+        return entry;
+    }
+
+    // Run the loader once per key at a time
+    function refresh(key, loader) {
+        if (!refreshing.has(key)) {
+            const pending = loader()
+                .then(value => store(key, value))
+                .finally(() => refreshing.delete(key));
+            refreshing.set(key, pending);
+        }
+        return refreshing.get(key);
+    }
+
+    // Get a value, loading it when missing or expired. Resolves to
+    // { value, etag, status, age } where status is HIT, STALE or MISS and
+    // age is in seconds.
+    async function get(key, loader) {
+        const entry = entries.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < ttl) {
+            return { ...entry, status: 'HIT', age: Math.floor(age / 1000) };
+        }
+
+        if (age < ttl + staleTtl) {
+            refresh(key, loader).catch(error => {
+                console.error(`Background refresh of ${name} cache failed for ${key}:`, error.message);
+            });
+            return { ...entry, status: 'STALE', age: Math.floor(age / 1000) };
+        }
+
+        const fresh = await refresh(key, loader);
+        return { ...fresh, status: 'MISS', age: 0 };
+    }
+
+    return { get };
+}
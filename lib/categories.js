@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+
+// Category IDs the client and server already use for other things
+const RESERVED_IDS = ['all', 'top', 'trending', 'divisive'];
+
+// Load the news categories from CATEGORIES_FILE. Each has an `id`, a display
+// `name`, the search `query` used to fetch its news and a `description`.
+export function loadCategories(env = process.env) {
+    const file = path.resolve(process.cwd(), env.CATEGORIES_FILE || 'config/categories.json');
+    const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const categories = new Map();
+    for (const category of definitions) {
+        if (typeof category.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(category.id)
+            || RESERVED_IDS.includes(category.id) || categories.has(category.id)) {
+            throw new Error(`Category ids must be unique, lowercase and not one of ${RESERVED_IDS.join(', ')} (got ${JSON.stringify(category.id)})`);
+        }
+        if (typeof category.name !== 'string' || typeof category.query !== 'string' || !category.query.trim()) {
+            throw new Error(`Category ${category.id} needs a "name" and a "query"`);
+        }
+        categories.set(category.id, {
+            id: category.id,
+            name: category.name,
+            query: category.query,
+            description: category.description || ''
+        });
+    }
+
+    console.log(`Loaded ${categories.size} news categories`);
+    return categories;
+}
+
+// Public fields of a category
+export function formatCategory(category) {
+    return {
+        id: category.id,
+        name: category.name,
+        description: category.description
+    };
+}
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+
+// Location of the JSON database file (override with DATA_DIR)
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const DB_FILE = path.join(DATA_DIR, 'db.json');
+
+// Collections every database starts with
+const DEFAULT_DATA = {
+    polls: {},
+    votes: [],
+    users: {},
+    sessions: {},
+    analyses: {},
+    quizAttempts: [],
+    badgeAwards: [],
+    glossaryTerms: {},
+    stories: {},
+    topics: {},
+    embeds: {}
+};
+
+// Load the database from disk, falling back to an empty one
+function load() {
+    try {
+        const raw = fs.readFileSync(DB_FILE, 'utf8');
+        return { ...structuredClone(DEFAULT_DATA), ...JSON.parse(raw) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading database, starting empty:', error);
+        }
+        return structuredClone(DEFAULT_DATA);
+    }
+}
+
+const data = load();
+let pendingWrite = null;
+let writeQueued = false;
+
+// Write the database to disk. Writes go to a temp file first and are renamed
+// into place so a crash mid-write never leaves a truncated file behind.
+async function flush() {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmpFile = `${DB_FILE}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data));
+    await fs.promises.rename(tmpFile, DB_FILE);
+}
+
+// Schedule a save. Saves requested while one is in flight are coalesced.
+function save() {
+    if (pendingWrite) {
+        writeQueued = true;
+        return pendingWrite;
+    }
+    pendingWrite = flush()
+        .catch(error => console.error('Error writing database:', error))
+        .finally(() => {
+            pendingWrite = null;
+            if (writeQueued) {
+                writeQueued = false;
+                save();
+            }
+        });
+    return pendingWrite;
+}
+
+export default { data, save };
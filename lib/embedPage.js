@@ -0,0 +1,72 @@
+import { escapeXml } from './fallbackImage.js';
+
+// JSON that is safe inside a <script> element
+function scriptJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+function embedShell({ title, body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeXml(title)} · Poll.it</title>
+    <style>
+        body { margin: 0; background: transparent; color: #ffffff; font-family: Inter, Arial, sans-serif; line-height: 1.4; }
+        .embed { background: #1e293b; border: 1px solid #334155; border-radius: 12px; padding: 1rem 1.25rem; display: flex; flex-direction: column; gap: 0.75rem; }
+        .embed-source { margin: 0; color: #94a3b8; font-size: 0.8rem; }
+        .embed-question { margin: 0; font-size: 1.1rem; }
+        .embed-options { display: flex; flex-direction: column; gap: 0.5rem; }
+        .embed-option { display: flex; align-items: center; gap: 0.5rem; width: 100%; padding: 0.6rem 0.75rem; border: 1px solid #334155; border-radius: 8px; background: rgba(255, 255, 255, 0.05); color: inherit; font: inherit; text-align: left; cursor: pointer; }
+        .embed-option:hover, .embed-option.selected { border-color: #3b82f6; background: rgba(59, 130, 246, 0.15); }
+        .embed-rank { min-width: 1.5rem; height: 1.5rem; border-radius: 50%; background: #3b82f6; font-size: 0.8rem; font-weight: 700; display: inline-flex; align-items: center; justify-content: center; }
+        .embed-submit { align-self: flex-start; padding: 0.5rem 1.25rem; border: none; border-radius: 20px; background: linear-gradient(135deg, #2563eb, #1e40af); color: #ffffff; font: inherit; font-weight: 600; cursor: pointer; }
+        .embed-submit:disabled { opacity: 0.5; cursor: default; }
+        .embed-results { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 0.5rem; }
+        .embed-result-label { display: flex; justify-content: space-between; gap: 1rem; font-size: 0.9rem; }
+        .embed-result.chosen .embed-result-label { font-weight: 700; }
+        .embed-result-bar { height: 6px; border-radius: 3px; background: rgba(255, 255, 255, 0.1); margin-top: 0.25rem; }
+        .embed-result-fill { height: 100%; border-radius: 3px; background: linear-gradient(135deg, #2563eb, #1e40af); transition: width 0.3s ease; }
+        .embed-status, .embed-footer { margin: 0; color: #94a3b8; font-size: 0.8rem; }
+        .embed-error { margin: 0; color: #f87171; font-size: 0.85rem; }
+        .embed-footer a { color: #3b82f6; text-decoration: none; }
+    </style>
+</head>
+<body>
+    ${body}
+</body>
+</html>`;
+}
+
+// Page shown in an embed's iframe. `poll` is the poll as the API returns it.
+// The question is rendered here; the options and results are drawn by
+// embed-frame.js from the embedded data. `hostOrigin` is the embedding site,
+// or null if it isn't on the poll's allowlist, in which case no messages are
+// sent to it.
+export function renderEmbedPage({ poll, article, results, hostOrigin, pageUrl }) {
+    const data = { poll, results, hostOrigin };
+
+    return embedShell({
+        title: poll.question,
+        body: `<div class="embed">
+        <p class="embed-source">${escapeXml(article.source || 'Poll.it')}</p>
+        <h1 class="embed-question">${escapeXml(poll.question)}</h1>
+        <div id="embed-body"></div>
+        <p class="embed-footer"><a href="${escapeXml(pageUrl)}" target="_blank" rel="noopener">${escapeXml(article.title)}</a> · Poll.it</p>
+    </div>
+    <script type="application/json" id="embed-data">${scriptJson(data)}</script>
+    <script src="/embed-frame.js"></script>`
+    });
+}
+
+// Page for an embed of a poll that doesn't exist or isn't embeddable
+export function renderMissingEmbedPage() {
+    return embedShell({
+        title: 'Poll unavailable',
+        body: `<div class="embed">
+        <p class="embed-status">This poll is not available.</p>
+    </div>`
+    });
+}
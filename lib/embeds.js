@@ -0,0 +1,72 @@
+import db from './db.js';
+
+// Most sites one poll can be embedded on
+export const MAX_EMBED_ORIGINS = 20;
+
+// Origin of a site, e.g. "https://blog.example.com", or null if the value
+// isn't an http(s) URL
+export function normalizeOrigin(value) {
+    try {
+        const url = new URL(String(value));
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+        return url.origin;
+    } catch {
+        return null;
+    }
+}
+
+// Read an embed's allowlist from a request body. Returns { origins } or
+// { error } describing what's wrong.
+export function parseOrigins(origins) {
+    if (!Array.isArray(origins) || origins.length === 0 || origins.length > MAX_EMBED_ORIGINS) {
+        return { error: `Origins must be a list of 1 to ${MAX_EMBED_ORIGINS} site URLs` };
+    }
+    const normalized = origins.map(normalizeOrigin);
+    const invalid = origins.find((origin, index) => !normalized[index]);
+    if (invalid !== undefined) {
+        return { error: `Not an http(s) site: ${JSON.stringify(invalid)}` };
+    }
+    return { origins: [...new Set(normalized)] };
+}
+
+export function getEmbed(pollId) {
+    return db.data.embeds[pollId] || null;
+}
+
+// Every embed, newest first
+export function listEmbeds() {
+    return Object.values(db.data.embeds).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Allow a poll to be embedded on the given sites, replacing any earlier list
+export function saveEmbed(pollId, origins) {
+    const now = new Date().toISOString();
+    const embed = {
+        pollId,
+        origins,
+        createdAt: getEmbed(pollId)?.createdAt || now,
+        updatedAt: now
+    };
+    db.data.embeds[pollId] = embed;
+    db.save();
+    return embed;
+}
+
+// Stop a poll from being embedded. Returns false if it wasn't.
+export function removeEmbed(pollId) {
+    if (!getEmbed(pollId)) return false;
+    delete db.data.embeds[pollId];
+    db.save();
+    return true;
+}
+
+// Whether a site may embed a poll
+export function isEmbedOrigin(embed, origin) {
+    return Boolean(embed && origin && embed.origins.includes(origin));
+}
+
+// Content-Security-Policy for an embed page. Browsers refuse to show the
+// page in frames on sites that aren't listed.
+export function embedFramePolicy(embed) {
+    return `frame-ancestors ${embed ? embed.origins.join(' ') : "'none'"}`;
+}
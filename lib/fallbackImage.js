@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+// Gradient colors and labels for each category's fallback image
+const CATEGORY_STYLES = {
+    politics: { from: '#1e3a8a', to: '#7f1d1d', label: 'Politics' },
+    technology: { from: '#0f766e', to: '#1e40af', label: 'Technology' },
+    business: { from: '#14532d', to: '#0f172a', label: 'Business' },
+    science: { from: '#581c87', to: '#1e3a8a', label: 'Science' },
+    health: { from: '#9f1239', to: '#0f766e', label: 'Health' },
+    entertainment: { from: '#a21caf', to: '#c2410c', label: 'Entertainment' },
+    sports: { from: '#c2410c', to: '#1e3a8a', label: 'Sports' },
+    environment: { from: '#15803d', to: '#0e7490', label: 'Environment' }
+};
+
+// Words skipped when picking title initials
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Up to two initials from the first significant words of a title
+export function titleInitials(title = '') {
+    const words = title
+        .split(/\s+/)
+        .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(Boolean);
+    const significant = words.filter(word => !STOP_WORDS.has(word.toLowerCase()));
+    return (significant.length ? significant : words)
+        .slice(0, 2)
+        .map(word => word[0].toUpperCase())
+        .join('') || 'N';
+}
+
+// Category colors, or colors derived from the source name so each outlet
+// keeps a consistent look when the category is unknown
+export function categoryStyle(category, source) {
+    if (CATEGORY_STYLES[category]) {
+        return CATEGORY_STYLES[category];
+    }
+    const hue = crypto.createHash('sha1').update(source || 'news').digest().readUInt16BE(0) % 360;
+    return {
+        from: `hsl(${hue}, 65%, 32%)`,
+        to: `hsl(${(hue + 40) % 360}, 70%, 18%)`,
+        label: 'News'
+    };
+}
+
+// Shorten text to fit on the image
+export function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+// Render a deterministic fallback SVG card from an article's source name,
+// category and title. The same inputs always produce the same image.
+export function renderFallbackImage({ source = '', category = '', title = '', width = 800, height = 400 } = {}) {
+    // Query parameters can arrive as arrays; only plain strings are used
+    [source, category, title] = [source, category, title].map(value => (typeof value === 'string' ? value : ''));
+
+    const style = categoryStyle(category, source);
+    const initials = titleInitials(title);
+    const base = Math.min(width, height);
+    const radius = Math.round(base * 0.28);
+    const margin = Math.round(base * 0.08);
+    const labelSize = Math.max(10, Math.round(base * 0.06));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title || style.label)}">
+    <defs>
+        <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${style.from}"/>
+            <stop offset="1" stop-color="${style.to}"/>
+        </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#background)"/>
+    <circle cx="${width * 0.85}" cy="${height * 0.2}" r="${height * 0.45}" fill="#ffffff" fill-opacity="0.06"/>
+    <circle cx="${width * 0.1}" cy="${height * 0.9}" r="${height * 0.35}" fill="#ffffff" fill-opacity="0.05"/>
+    <circle cx="${width / 2}" cy="${height / 2}" r="${radius}" fill="#ffffff" fill-opacity="0.12" stroke="#ffffff" stroke-opacity="0.35" stroke-width="${Math.max(1, Math.round(base * 0.01))}"/>
+    <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="Inter, Arial, sans-serif" font-size="${Math.round(radius * 0.9)}" font-weight="700" fill="#ffffff">${escapeXml(initials)}</text>
+    <text x="${margin}" y="${margin + labelSize}" font-family="Inter, Arial, sans-serif" font-size="${labelSize}" font-weight="600" fill="#ffffff" fill-opacity="0.8" letter-spacing="2">${escapeXml(style.label.toUpperCase())}</text>
+    <text x="${width - margin}" y="${height - margin}" text-anchor="end" font-family="Inter, Arial, sans-serif" font-size="${labelSize}" font-weight="500" fill="#ffffff" fill-opacity="0.8">${escapeXml(truncate(source, 40))}</text>
+</svg>`;
+}
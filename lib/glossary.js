@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import db from './db.js';
+
+// URL-safe ID for a term, e.g. "Executive order" -> "executive-order"
+export function termId(term) {
+    return term
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Acronyms such as "AI" only match in capitals, so ordinary words that
+// happen to share the letters aren't annotated
+function isAcronym(form) {
+    return /[A-Z]/.test(form) && form === form.toUpperCase();
+}
+
+// Load the curated glossary from GLOSSARY_FILE. Curated terms are served
+// without review.
+export function loadCuratedGlossary(env = process.env) {
+    const file = path.resolve(process.cwd(), env.GLOSSARY_FILE || 'config/glossary.json');
+    const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const terms = definitions.map(entry => {
+        if (typeof entry.term !== 'string' || typeof entry.definition !== 'string') {
+            throw new Error(`Glossary entries need a "term" and a "definition" (got ${JSON.stringify(entry)})`);
+        }
+        return {
+            id: termId(entry.term),
+            term: entry.term,
+            aliases: entry.aliases || [],
+            definition: entry.definition,
+            source: 'curated',
+            status: 'approved'
+        };
+    });
+
+    console.log(`Loaded ${terms.length} curated glossary terms`);
+    return terms;
+}
+
+// Glossary made of curated terms plus LLM-suggested terms stored in the
+// database. Suggested terms start out pending and are only served once a
+// moderator approves them.
+export function createGlossary(curated) {
+    const curatedById = new Map(curated.map(entry => [entry.id, entry]));
+    // Rebuilt whenever the set of served terms changes
+    let matcher = null;
+
+    // Terms readers can see: curated ones, then approved suggestions
+    function servedTerms() {
+        const terms = new Map(curatedById);
+        for (const entry of Object.values(db.data.glossaryTerms)) {
+            if (entry.status === 'approved' && !terms.has(entry.id)) {
+                terms.set(entry.id, entry);
+            }
+        }
+        return terms;
+    }
+
+    function buildMatcher() {
+        const terms = servedTerms();
+        const forms = new Map();
+        for (const entry of terms.values()) {
+            for (const form of [entry.term, ...(entry.aliases || [])]) {
+                forms.set(form.toLowerCase(), { id: entry.id, acronym: isAcronym(form), form });
+            }
+        }
+
+        // Longest forms first so "House of Representatives" wins over "House"
+        const alternatives = [...forms.values()]
+            .map(entry => entry.form)
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp);
+        return {
+            terms,
+            forms,
+            pattern: alternatives.length
+                ? new RegExp(`(?<![\\p{L}\\p{N}-])(${alternatives.join('|')})(?![\\p{L}\\p{N}-])`, 'giu')
+                : null
+        };
+    }
+
+    function getMatcher() {
+        if (!matcher) {
+            matcher = buildMatcher();
+        }
+        return matcher;
+    }
+
+    // Find glossary terms in a piece of text. Each term is marked at its
+    // first occurrence only. Returns { text, spans: [{ start, end, termId }] }.
+    function annotate(text) {
+        const { forms, pattern } = getMatcher();
+        const spans = [];
+        if (!pattern || !text) {
+            return { text, spans };
+        }
+
+        const seen = new Set();
+        for (const match of text.matchAll(pattern)) {
+            const form = forms.get(match[0].toLowerCase());
+            if (!form || seen.has(form.id)) continue;
+            if (form.acronym && match[0] !== form.form) continue;
+            seen.add(form.id);
+            spans.push({ start: match.index, end: match.index + match[0].length, termId: form.id });
+        }
+        return { text, spans };
+    }
+
+    // Definitions for a set of term IDs, for the client's popovers
+    function definitionsFor(ids) {
+        const { terms } = getMatcher();
+        return Object.fromEntries([...ids].map(id => {
+            const entry = terms.get(id);
+            return [id, { term: entry.term, definition: entry.definition, source: entry.source }];
+        }));
+    }
+
+    // Store LLM-suggested terms for review. Terms that are already known,
+    // whatever their status or under any alias, are skipped. Returns the
+    // newly added terms.
+    function addSuggestions(suggestions, { articleId, model }) {
+        const { forms } = getMatcher();
+        const added = [];
+        for (const suggestion of suggestions) {
+            const id = termId(suggestion.term);
+            if (!id || curatedById.has(id) || db.data.glossaryTerms[id]) continue;
+            if (forms.has(suggestion.term.toLowerCase())) continue;
+
+            const entry = {
+                id,
+                term: suggestion.term,
+                aliases: [],
+                definition: suggestion.definition,
+                source: 'llm',
+                status: 'pending',
+                articleId,
+                model,
+                createdAt: new Date().toISOString()
+            };
+            db.data.glossaryTerms[id] = entry;
+            added.push(entry);
+        }
+        if (added.length) {
+            db.save();
+            console.log('Glossary terms awaiting review:', added.map(entry => entry.term).join(', '));
+        }
+        return added;
+    }
+
+    // Suggested terms with a given review status, oldest first
+    function listSuggestions(status) {
+        return Object.values(db.data.glossaryTerms)
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Approve or reject a suggested term. Moderators may correct the
+    // definition when approving. Returns the updated term, or null if there
+    // is no such suggestion.
+    function reviewSuggestion(id, { approve, definition }) {
+        const entry = db.data.glossaryTerms[id];
+        if (!entry) return null;
+
+        entry.status = approve ? 'approved' : 'rejected';
+        if (approve && definition) {
+            entry.definition = definition;
+        }
+        entry.reviewedAt = new Date().toISOString();
+        db.save();
+        matcher = null;
+        return entry;
+    }
+
+    return { annotate, definitionsFor, addSuggestions, listSuggestions, reviewSuggestion };
+}
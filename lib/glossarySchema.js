@@ -0,0 +1,51 @@
+import { checkString } from './schemaChecks.js';
+
+// Limits for LLM-suggested glossary terms
+export const GLOSSARY_SCHEMA = {
+    terms: { maxItems: 5 },
+    term: { minLength: 2, maxLength: 60 },
+    definition: { minLength: 10, maxLength: 400 }
+};
+
+// Validate parsed glossary suggestions. Returns a list of problems; an empty
+// list means the content is valid.
+export function validateGlossarySuggestions(content) {
+    if (!content || typeof content !== 'object' || !Array.isArray(content.terms)) {
+        return ['response must be a JSON object with a "terms" array'];
+    }
+
+    const errors = [];
+    if (content.terms.length > GLOSSARY_SCHEMA.terms.maxItems) {
+        errors.push(`terms must contain at most ${GLOSSARY_SCHEMA.terms.maxItems} items`);
+    }
+    content.terms.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`terms[${index}] must be an object with "term" and "definition"`);
+            return;
+        }
+        checkString(entry.term, GLOSSARY_SCHEMA.term, `terms[${index}].term`, errors);
+        checkString(entry.definition, GLOSSARY_SCHEMA.definition, `terms[${index}].definition`, errors);
+    });
+    return errors;
+}
+
+// Parse a model response into suggested terms, throwing if it is invalid.
+// Terms that don't appear in the article text are dropped.
+export function parseGlossarySuggestions(text, article) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        throw new Error('Response is not valid JSON');
+    }
+
+    const errors = validateGlossarySuggestions(content);
+    if (errors.length) {
+        throw new Error(`Response does not match the glossary schema: ${errors.join('; ')}`);
+    }
+
+    const articleText = `${article.title || ''}\n${article.description || ''}`.toLowerCase();
+    return content.terms
+        .map(entry => ({ term: entry.term.trim(), definition: entry.definition.trim() }))
+        .filter(entry => articleText.includes(entry.term.toLowerCase()));
+}
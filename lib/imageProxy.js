@@ -0,0 +1,299 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+
+// Largest image the proxy will download
+export const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES || String(10 * 1024 * 1024), 10);
+
+// Address ranges the proxy must never connect to: loopback, private networks,
+// link-local (including cloud metadata at 169.254.169.254), CGNAT, multicast
+// and reserved space
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['100::', 64],
+    ['2001:db8::', 32],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address points somewhere the proxy may not reach
+export function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return blockedAddresses.check(address, family);
+}
+
+// Error with the HTTP status the proxy should report
+function proxyError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// DNS lookup that refuses to hand back blocked addresses. It runs on every
+// connection (including redirects), so a hostname can't pass a check and then
+// rebind to an internal address before the request is made.
+export function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            const blockedError = proxyError(`Refusing to connect to ${hostname} (${blocked.address})`, 403);
+            blockedError.code = 'EBLOCKEDADDRESS';
+            return callback(blockedError);
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Check that a URL is something the proxy may fetch at all
+export function validateImageUrl(imageUrl) {
+    let url;
+    try {
+        url = new URL(imageUrl);
+    } catch {
+        throw proxyError('Invalid image URL', 400);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw proxyError('Only http and https image URLs are allowed', 400);
+    }
+    if (url.username || url.password) {
+        throw proxyError('Image URLs must not contain credentials', 400);
+    }
+    // IP literals never go through DNS lookup, so check them here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        throw proxyError(`Refusing to connect to ${host}`, 403);
+    }
+    return url;
+}
+
+// Download an image, enforcing the address, content type and size rules.
+// Resolves to { buffer, contentType }.
+export async function fetchImage(imageUrl, { headers = {} } = {}) {
+    const url = validateImageUrl(imageUrl);
+
+    let response;
+    try {
+        response = await fetch(url.href, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                'Accept': 'image/*',
+                ...headers
+            },
+            agent: parsed => (parsed.protocol === 'http:' ? httpAgent : httpsAgent),
+            follow: 5,
+            size: MAX_IMAGE_BYTES
+        });
+    } catch (error) {
+        // node-fetch wraps connection errors, keeping the original code
+        if (error.code === 'EBLOCKEDADDRESS') {
+            throw proxyError(error.message, 403);
+        }
+        throw error;
+    }
+
+    if (!response.ok) {
+        throw proxyError(`Failed to fetch image: ${response.status} ${response.statusText}`, 502);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/')) {
+        response.body.destroy();
+        throw proxyError(`Refusing non-image content type: ${contentType || 'none'}`, 415);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (contentLength > MAX_IMAGE_BYTES) {
+        response.body.destroy();
+        throw proxyError(`Image is too large: ${contentLength} bytes`, 413);
+    }
+
+    let buffer;
+    try {
+        buffer = Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        if (error.type === 'max-size') {
+            throw proxyError(`Image is larger than ${MAX_IMAGE_BYTES} bytes`, 413);
+        }
+        throw error;
+    }
+
+    return { buffer, contentType };
+}
+
+// Output formats the proxy can encode, in order of preference
+const OUTPUT_FORMATS = {
+    avif: { contentType: 'image/avif', encode: image => image.avif({ quality: 50 }) },
+    webp: { contentType: 'image/webp', encode: image => image.webp({ quality: 75 }) },
+    jpeg: { contentType: 'image/jpeg', encode: image => image.jpeg({ quality: 80, mozjpeg: true }) }
+};
+
+// Largest width or height the proxy will resize to
+const MAX_DIMENSION = 2000;
+
+// Parse a w/h query parameter, clamped to a sensible range
+export function parseDimension(value) {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number) || number <= 0) return null;
+    return Math.min(number, MAX_DIMENSION);
+}
+
+// Pick the output format: an explicit format parameter wins, otherwise the
+// best format the browser's Accept header allows. Returns null to keep the
+// original encoding.
+export function negotiateFormat(requested, accept = '') {
+    if (requested && requested !== 'auto') {
+        return OUTPUT_FORMATS[requested] ? requested : null;
+    }
+    if (accept.includes('image/avif')) return 'avif';
+    if (accept.includes('image/webp')) return 'webp';
+    return requested === 'auto' ? 'jpeg' : null;
+}
+
+// Resize and re-encode an image. Resolves to { buffer, contentType }.
+export async function transformImage({ buffer, contentType }, { width, height, format }) {
+    if (!width && !height && !format) {
+        return { buffer, contentType };
+    }
+
+    let image = sharp(buffer, { failOn: 'none' }).rotate();
+    if (width || height) {
+        image = image.resize({
+            width: width || undefined,
+            height: height || undefined,
+            fit: width && height ? 'cover' : 'inside',
+            withoutEnlargement: true
+        });
+    }
+
+    const output = OUTPUT_FORMATS[format || 'jpeg'];
+    return {
+        buffer: await output.encode(image).toBuffer(),
+        contentType: output.contentType
+    };
+}
+
+// Bounded on-disk LRU cache for proxied images. Each image is stored as a
+// data file plus a small JSON metadata file; file modification times record
+// recency so the LRU order survives restarts.
+export function createImageCache({ dir, maxBytes }) {
+    const index = new Map();
+    let totalBytes = 0;
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const key = name.slice(0, -'.json'.length);
+        try {
+            const stat = fs.statSync(path.join(dir, key));
+            index.set(key, { size: stat.size, lastUsed: stat.mtimeMs });
+            totalBytes += stat.size;
+        } catch {
+            fs.rmSync(path.join(dir, name), { force: true });
+        }
+    }
+    // Map order is the LRU order, oldest first
+    const sorted = [...index.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    index.clear();
+    sorted.forEach(([key, entry]) => index.set(key, entry));
+    console.log(`Image cache: ${index.size} files, ${totalBytes} bytes`);
+
+    function keyFor(variant) {
+        return crypto.createHash('sha256').update(variant).digest('hex');
+    }
+
+    async function remove(key) {
+        const entry = index.get(key);
+        if (!entry) return;
+        index.delete(key);
+        totalBytes -= entry.size;
+        await Promise.all([
+            fs.promises.rm(path.join(dir, key), { force: true }),
+            fs.promises.rm(path.join(dir, `${key}.json`), { force: true })
+        ]);
+    }
+
+    // Look up a cached image; resolves to { buffer, contentType } or null
+    async function get(variant) {
+        const key = keyFor(variant);
+        const entry = index.get(key);
+        if (!entry) return null;
+
+        try {
+            const [buffer, meta] = await Promise.all([
+                fs.promises.readFile(path.join(dir, key)),
+                fs.promises.readFile(path.join(dir, `${key}.json`), 'utf8')
+            ]);
+
+            // Mark as most recently used
+            index.delete(key);
+            entry.lastUsed = Date.now();
+            index.set(key, entry);
+            const now = new Date();
+            fs.promises.utimes(path.join(dir, key), now, now).catch(() => {});
+
+            return { buffer, ...JSON.parse(meta) };
+        } catch (error) {
+            console.error('Error reading cached image, dropping it:', error.message);
+            await remove(key);
+            return null;
+        }
+    }
+
+    // Store an image, evicting the least recently used ones over the limit
+    async function set(variant, { buffer, contentType }) {
+        if (buffer.length > maxBytes) return;
+
+        const key = keyFor(variant);
+        await remove(key);
+        await fs.promises.writeFile(path.join(dir, key), buffer);
+        await fs.promises.writeFile(path.join(dir, `${key}.json`), JSON.stringify({ contentType }));
+        index.set(key, { size: buffer.length, lastUsed: Date.now() });
+        totalBytes += buffer.length;
+
+        while (totalBytes > maxBytes && index.size > 0) {
+            await remove(index.keys().next().value);
+        }
+    }
+
+    return { get, set };
+}
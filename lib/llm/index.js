@@ -0,0 +1,44 @@
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+// Default model for each provider when LLM_MODEL isn't set
+const DEFAULT_MODELS = {
+    openai: 'gpt-3.5-turbo',
+    'openai-compatible': 'llama3',
+    mock: 'mock'
+};
+
+// Create the LLM provider selected by configuration:
+//   LLM_PROVIDER  openai | openai-compatible | mock
+//   LLM_MODEL     model name passed to the provider
+//   LLM_BASE_URL  server URL for openai-compatible (e.g. http://localhost:11434/v1)
+//   LLM_API_KEY   API key for openai-compatible servers that need one
+export function createProvider(config = process.env) {
+    let name = config.LLM_PROVIDER || 'openai';
+    if (name === 'openai' && !config.OPENAI_API_KEY) {
+        console.warn('OPENAI_API_KEY is not set, falling back to the mock LLM provider');
+        name = 'mock';
+    }
+
+    const model = config.LLM_MODEL || DEFAULT_MODELS[name];
+
+    switch (name) {
+        case 'openai':
+            return createOpenAIProvider({ apiKey: config.OPENAI_API_KEY, model });
+        case 'openai-compatible':
+            if (!config.LLM_BASE_URL) {
+                throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+            }
+            return createOpenAIProvider({
+                name,
+                // Local servers usually ignore the key, but the client requires one
+                apiKey: config.LLM_API_KEY || 'not-needed',
+                baseURL: config.LLM_BASE_URL,
+                model
+            });
+        case 'mock':
+            return createMockProvider({ model });
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+
+// Stable pseudo-random number for a piece of text
+function seedFor(text) {
+    return crypto.createHash('sha256').update(text).digest().readUInt32BE(0);
+}
+
+// Pick an item from a list deterministically
+function pick(list, seed) {
+    return list[seed % list.length];
+}
+
+// Pull a "Label: ..." line such as "Article Title: ..." out of a prompt
+function extractField(messages, label) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const match = prompt.match(new RegExp(`${label}: (.*)`));
+    return (match?.[1] || '').trim();
+}
+
+function extractTitle(messages) {
+    return extractField(messages, 'Article Title') || 'this story';
+}
+
+// Poll templates for mock polls, one per poll type
+const POLL_TEMPLATES = [
+    {
+        type: 'single',
+        question: 'Is the response described in "%s" the right approach?',
+        options: ['Yes, it is long overdue', 'No, it goes too far', 'It depends on how it is carried out']
+    },
+    {
+        type: 'multi',
+        question: 'Which concerns about "%s" do you share?',
+        options: ['The cost to taxpayers', 'The effect on ordinary families', 'The lack of public debate', 'The long-term consequences']
+    },
+    {
+        type: 'ranked',
+        question: 'Who should bear the most responsibility for what happens after "%s"?',
+        options: ['Government officials', 'The companies and people involved', 'Voters and the public']
+    },
+    {
+        type: 'likert',
+        question: 'The developments in "%s" will do more good than harm.',
+        options: []
+    }
+];
+
+// Words the mock bias analysis treats as loaded language
+const LOADED_WORDS = [
+    'slams', 'blasts', 'crisis', 'chaos', 'disaster', 'outrage', 'radical',
+    'extreme', 'shocking', 'destroy', 'attack', 'slashes', 'soars', 'plunges'
+];
+
+// Canned responses for each task, built from the prompt
+const TASKS = {
+    poll(messages) {
+        const title = extractTitle(messages).slice(0, 200);
+        const template = pick(POLL_TEMPLATES, seedFor(title));
+        return {
+            type: template.type,
+            question: template.question.replace('%s', () => title),
+            options: [...template.options],
+            rationale: 'Mock poll generated without calling a language model.'
+        };
+    },
+
+    bias(messages) {
+        const title = extractTitle(messages);
+        const text = `${title} ${extractField(messages, 'Article Description')}`;
+        const loaded = LOADED_WORDS.filter(word => new RegExp(`\\b${word}\\b`, 'i').test(text));
+        const seed = seedFor(title);
+        const lean = (seed % 61) - 30;
+        return {
+            loadedLanguage: {
+                score: Math.min(100, loaded.length * 30),
+                phrases: loaded,
+                explanation: loaded.length ? 'The text uses emotive words.' : 'The wording is mostly neutral.'
+            },
+            oneSidedness: {
+                score: 10 + ((seed >>> 8) % 50),
+                phrases: [],
+                explanation: 'Mock estimate; no viewpoint analysis was done.'
+            },
+            lean: {
+                score: lean,
+                phrases: [],
+                explanation: 'Mock estimate; no lean analysis was done.'
+            },
+            summary: 'Mock bias analysis generated without calling a language model.'
+        };
+    },
+
+    summary(messages) {
+        const title = extractTitle(messages);
+        const description = extractField(messages, 'Article Description');
+        const level = extractField(messages, 'Reading Level') || 'high-school';
+        const intro = {
+            basic: 'Here is what happened, in simple words.',
+            'high-school': 'Here is an overview of the story.',
+            expert: 'In brief:'
+        }[level] || 'Here is an overview of the story.';
+        return {
+            summary: `${intro} ${title}. ${description}`.trim(),
+            deeperDive: level === 'basic' ? '' : 'Mock background generated without calling a language model.',
+            keyTerms: [
+                { term: 'Headline', definition: 'The title of a news story, written to sum it up quickly.' }
+            ]
+        };
+    },
+
+    perspectives(messages) {
+        const title = extractTitle(messages);
+        const framing = viewpoint => `A ${viewpoint} reader would see "${title}" through the lens of their own priorities. This is a mock framing generated without calling a language model.`;
+        return {
+            perspectives: [
+                { viewpoint: 'progressive', framing: framing('progressive'), counterarguments: ['Critics say this overlooks the costs involved.'] },
+                { viewpoint: 'conservative', framing: framing('conservative'), counterarguments: ['Critics say this overlooks who is left behind.'] },
+                { viewpoint: 'libertarian', framing: framing('libertarian'), counterarguments: ['Critics say some problems need collective action.'] },
+                {
+                    viewpoint: 'stakeholder',
+                    stakeholder: 'People directly affected',
+                    framing: 'Those most affected care about how the outcome changes their daily lives. This is a mock framing generated without calling a language model.',
+                    counterarguments: ['Critics say the wider public interest matters too.']
+                }
+            ]
+        };
+    },
+
+    quiz(messages) {
+        const title = extractTitle(messages);
+        const seed = seedFor(title);
+        const source = extractField(messages, 'Article Description') ? 'the title and description' : 'the title';
+        return {
+            questions: [
+                {
+                    question: 'Which headline does this article carry?',
+                    options: [title.slice(0, 200), 'Markets close flat ahead of holiday', 'Local team wins championship'],
+                    answerIndex: 0,
+                    explanation: 'The article is titled with this exact headline.'
+                },
+                {
+                    question: 'What does the article give readers to go on?',
+                    options: ['A headline and short description', 'A full transcript', 'Only a photo gallery'],
+                    answerIndex: 0,
+                    explanation: `This mock quiz was written from ${source} only.`
+                }
+            ].map(item => {
+                // Move the correct option so it isn't always first
+                const shift = seed % item.options.length;
+                const options = item.options.map((_, index) => item.options[(index + shift) % item.options.length]);
+                return { ...item, options, answerIndex: (item.options.length - shift) % item.options.length };
+            })
+        };
+    },
+
+    glossary(messages) {
+        // Treat the two longest words as the jargon
+        const text = `${extractTitle(messages)} ${extractField(messages, 'Article Description')}`;
+        const words = [...new Set(text.match(/[A-Za-z][A-Za-z-]{9,}/g) || [])]
+            .sort((a, b) => b.length - a.length)
+            .slice(0, 2);
+        return {
+            terms: words.map(word => ({
+                term: word,
+                definition: `Mock definition of "${word}" generated without calling a language model.`
+            }))
+        };
+    }
+};
+
+// Deterministic offline provider. Identical prompts always produce identical
+// output, which keeps the app usable without an API key and makes tests
+// repeatable.
+export function createMockProvider({ model = 'mock' } = {}) {
+    return {
+        name: 'mock',
+        model,
+
+        async complete({ task, messages }) {
+            const handler = TASKS[task];
+            if (!handler) {
+                throw new Error(`Mock provider has no response for task: ${task}`);
+            }
+            return JSON.stringify(handler(messages));
+        }
+    };
+}
@@ -0,0 +1,33 @@
+import OpenAI from 'openai';
+
+// Provider backed by the OpenAI chat completions API. Passing a baseURL
+// points it at any OpenAI-compatible server such as llama.cpp or Ollama.
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model }) {
+    const client = new OpenAI({
+        apiKey,
+        baseURL
+    });
+
+    return {
+        name,
+        model,
+
+        // Send a chat completion request and return the reply text
+        async complete({ messages, temperature = 0.7, maxTokens = 300, json = false }) {
+            const response = await client.chat.completions.create({
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                ...(json ? { response_format: { type: 'json_object' } } : {})
+            });
+
+            const text = response.choices?.[0]?.message?.content;
+            if (!text) {
+                console.error('Invalid response format from LLM provider:', response);
+                throw new Error(`Invalid response format from ${name}`);
+            }
+            return text;
+        }
+    };
+}
@@ -0,0 +1,37 @@
+// Cursors are opaque to clients: base64url JSON holding the offset of the
+// next item and the URL of the last item served. The URL lets a page pick up
+// in the right place after the list is refreshed and items shift.
+export function encodeCursor(offset, lastUrl) {
+    return Buffer.from(JSON.stringify({ offset, after: lastUrl })).toString('base64url');
+}
+
+// Decode a cursor from a request, or null if it isn't one of ours
+export function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Number.isInteger(decoded.offset) || decoded.offset < 0 || typeof decoded.after !== 'string') {
+            return null;
+        }
+        return decoded;
+    } catch {
+        return null;
+    }
+}
+
+// One page of a list of articles. Returns { items, start, nextCursor }, where
+// nextCursor is null on the last page.
+export function paginate(list, { cursor, limit }) {
+    let start = 0;
+    if (cursor) {
+        const index = list.findIndex(item => item.url === cursor.after);
+        start = index >= 0 ? index + 1 : Math.min(cursor.offset, list.length);
+    }
+
+    const items = list.slice(start, start + limit);
+    const end = start + items.length;
+    return {
+        items,
+        start,
+        nextCursor: end < list.length ? encodeCursor(end, items[items.length - 1].url) : null
+    };
+}
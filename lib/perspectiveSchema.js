@@ -0,0 +1,95 @@
+import { checkString } from './schemaChecks.js';
+
+// Viewpoints every perspective set covers, in display order. The stakeholder
+// view is written for whichever group the story affects most.
+export const VIEWPOINTS = {
+    progressive: 'Progressive',
+    conservative: 'Conservative',
+    libertarian: 'Libertarian',
+    stakeholder: 'Affected stakeholders'
+};
+
+const FRAMING_LENGTH = { minLength: 20, maxLength: 1200 };
+const COUNTERARGUMENT_LENGTH = { minLength: 5, maxLength: 500 };
+const MIN_COUNTERARGUMENTS = 1;
+const MAX_COUNTERARGUMENTS = 3;
+
+// Validate parsed perspectives. Returns a list of problems; an empty list
+// means the content is valid.
+export function validatePerspectives(content) {
+    const errors = [];
+    if (!content || typeof content !== 'object' || !Array.isArray(content.perspectives)) {
+        return ['response must be a JSON object with a "perspectives" array'];
+    }
+
+    const seen = new Set();
+    content.perspectives.forEach((perspective, index) => {
+        const name = `perspectives[${index}]`;
+        if (!perspective || typeof perspective !== 'object') {
+            errors.push(`${name} must be an object`);
+            return;
+        }
+        if (!VIEWPOINTS[perspective.viewpoint]) {
+            errors.push(`${name}.viewpoint must be one of: ${Object.keys(VIEWPOINTS).join(', ')}`);
+            return;
+        }
+        if (seen.has(perspective.viewpoint)) {
+            errors.push(`${name}.viewpoint "${perspective.viewpoint}" appears more than once`);
+        }
+        seen.add(perspective.viewpoint);
+
+        if (perspective.viewpoint === 'stakeholder') {
+            checkString(perspective.stakeholder, { minLength: 2, maxLength: 80 }, `${name}.stakeholder`, errors);
+        }
+        checkString(perspective.framing, FRAMING_LENGTH, `${name}.framing`, errors);
+
+        const { counterarguments } = perspective;
+        if (!Array.isArray(counterarguments)
+            || counterarguments.length < MIN_COUNTERARGUMENTS
+            || counterarguments.length > MAX_COUNTERARGUMENTS) {
+            errors.push(`${name}.counterarguments must be an array of ${MIN_COUNTERARGUMENTS} to ${MAX_COUNTERARGUMENTS} strings`);
+            return;
+        }
+        counterarguments.forEach((argument, argumentIndex) => {
+            checkString(argument, COUNTERARGUMENT_LENGTH, `${name}.counterarguments[${argumentIndex}]`, errors);
+        });
+    });
+
+    for (const viewpoint of Object.keys(VIEWPOINTS)) {
+        if (!seen.has(viewpoint)) {
+            errors.push(`perspectives must include the "${viewpoint}" viewpoint`);
+        }
+    }
+
+    return errors;
+}
+
+// Parse a model response into perspectives in display order, throwing if it
+// is invalid. Every perspective is labelled as AI-generated.
+export function parsePerspectives(text) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        throw new Error('Response is not valid JSON');
+    }
+
+    const errors = validatePerspectives(content);
+    if (errors.length) {
+        throw new Error(`Response does not match the perspectives schema: ${errors.join('; ')}`);
+    }
+
+    const byViewpoint = new Map(content.perspectives.map(perspective => [perspective.viewpoint, perspective]));
+    return Object.entries(VIEWPOINTS).map(([viewpoint, label]) => {
+        const perspective = byViewpoint.get(viewpoint);
+        const stakeholder = perspective.stakeholder?.trim();
+        return {
+            viewpoint,
+            label: viewpoint === 'stakeholder' ? `Stakeholders: ${stakeholder}` : label,
+            ...(viewpoint === 'stakeholder' ? { stakeholder } : {}),
+            framing: perspective.framing.trim(),
+            counterarguments: perspective.counterarguments.map(argument => argument.trim()),
+            aiGenerated: true
+        };
+    });
+}
@@ -0,0 +1,62 @@
+import db from './db.js';
+import { getPoll, getResults } from './polls.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Trending: each vote adds weight that halves every `halfLifeHours`, so a
+// poll's score is its recent vote velocity. Votes older than ten half-lives
+// add almost nothing and are skipped.
+export function getTrendingPolls({ limit = 20, category, halfLifeHours = 6, now = Date.now() } = {}) {
+    const halfLifeMs = halfLifeHours * HOUR_MS;
+    const cutoff = now - halfLifeMs * 10;
+    const scores = new Map();
+
+    for (const vote of db.data.votes) {
+        const votedAt = Date.parse(vote.createdAt);
+        if (!(votedAt >= cutoff)) continue;
+        const weight = Math.pow(0.5, Math.max(0, now - votedAt) / halfLifeMs);
+        scores.set(vote.pollId, (scores.get(vote.pollId) || 0) + weight);
+    }
+
+    return [...scores.entries()]
+        .map(([pollId, score]) => ({ poll: getPoll(pollId), score }))
+        .filter(({ poll }) => poll && (!category || poll.category === category))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ poll, score }) => ({
+            poll,
+            score: Math.round(score * 1000) / 1000,
+            results: getResults(poll.id)
+        }));
+}
+
+// Shannon entropy of the vote counts, divided by the largest possible
+// entropy for the number of options: 1 is a perfectly even split, 0 means
+// everyone gave the same answer
+export function splitEntropy(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (!total || counts.length < 2) return 0;
+
+    const entropy = counts.reduce((sum, count) => {
+        if (!count) return sum;
+        const share = count / total;
+        return sum - share * Math.log(share);
+    }, 0);
+    return entropy / Math.log(counts.length);
+}
+
+// Divisive: polls whose votes are most evenly split across their options.
+// Polls need `minVotes` votes so a couple of early votes can't top the list;
+// equal splits are ordered by vote count.
+export function getDivisivePolls({ limit = 20, category, minVotes = 5 } = {}) {
+    return Object.values(db.data.polls)
+        .filter(poll => !category || poll.category === category)
+        .map(poll => ({ poll, results: getResults(poll.id) }))
+        .filter(({ results }) => results.totalVotes >= minVotes)
+        .map(entry => ({
+            ...entry,
+            score: Math.round(splitEntropy(entry.results.results.map(result => result.count)) * 1000) / 1000
+        }))
+        .sort((a, b) => b.score - a.score || b.results.totalVotes - a.results.totalVotes)
+        .slice(0, limit);
+}
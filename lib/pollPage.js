@@ -0,0 +1,212 @@
+import sharp from 'sharp';
+import { categoryStyle, escapeXml, truncate } from './fallbackImage.js';
+
+// Size of the Open Graph preview image; 1.91:1 is what the large link
+// previews on most sites expect
+export const PREVIEW_WIDTH = 1200;
+export const PREVIEW_HEIGHT = 630;
+
+// Most options drawn on the preview image
+const PREVIEW_OPTIONS = 5;
+
+// Break text into at most `maxLines` lines of about `lineLength` characters.
+// The last line ends in an ellipsis if the text doesn't fit.
+function wrapText(text, lineLength, maxLines) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && `${line} ${word}`.length > lineLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = truncate(`${kept[maxLines - 1]} ${lines[maxLines]}`, lineLength);
+        if (!kept[maxLines - 1].endsWith('…')) {
+            kept[maxLines - 1] += '…';
+        }
+        return kept;
+    }
+    return lines;
+}
+
+function formatVotes(totalVotes) {
+    return `${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'}`;
+}
+
+// One line summing up the results, e.g. the ranked-choice winner
+function resultsHeadline(results) {
+    if (!results.totalVotes) return 'No votes yet. Be the first!';
+    if (results.winner) return `${formatVotes(results.totalVotes)} · Leading: ${results.winner}`;
+    return formatVotes(results.totalVotes);
+}
+
+// Render the Open Graph preview for a poll as SVG: the question over the
+// current result bars, in the colors of the poll's category
+export function renderPollPreview(poll, results) {
+    const width = PREVIEW_WIDTH;
+    const height = PREVIEW_HEIGHT;
+    const style = categoryStyle(poll.category, poll.article.source);
+    const margin = 64;
+    const questionLines = wrapText(poll.question, 38, 3);
+    const options = results.results.slice(0, PREVIEW_OPTIONS);
+
+    const questionTop = margin + 72;
+    const barsTop = questionTop + questionLines.length * 50 + 36;
+    const barSpace = height - margin - 40 - barsTop;
+    const rowHeight = Math.min(72, Math.floor(barSpace / Math.max(options.length, 1)));
+    const barWidth = width - margin * 2;
+
+    const bars = options.map((result, index) => {
+        const y = barsTop + index * rowHeight;
+        const fill = Math.round((barWidth * Math.min(result.percentage, 100)) / 100);
+        return `
+    <text x="${margin}" y="${y + 22}" font-family="Inter, Arial, sans-serif" font-size="24" font-weight="500" fill="#ffffff">${escapeXml(truncate(result.option, 60))}</text>
+    <text x="${width - margin}" y="${y + 22}" text-anchor="end" font-family="Inter, Arial, sans-serif" font-size="24" font-weight="700" fill="#ffffff">${result.percentage}%</text>
+    <rect x="${margin}" y="${y + 32}" width="${barWidth}" height="14" rx="7" fill="#ffffff" fill-opacity="0.15"/>
+    <rect x="${margin}" y="${y + 32}" width="${fill}" height="14" rx="7" fill="#ffffff" fill-opacity="0.85"/>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <defs>
+        <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${style.from}"/>
+            <stop offset="1" stop-color="${style.to}"/>
+        </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#background)"/>
+    <circle cx="${width * 0.9}" cy="${height * 0.1}" r="${height * 0.4}" fill="#ffffff" fill-opacity="0.05"/>
+    <text x="${margin}" y="${margin + 20}" font-family="Inter, Arial, sans-serif" font-size="26" font-weight="700" fill="#ffffff" letter-spacing="2">POLL.IT</text>
+    <text x="${width - margin}" y="${margin + 20}" text-anchor="end" font-family="Inter, Arial, sans-serif" font-size="22" font-weight="500" fill="#ffffff" fill-opacity="0.8">${escapeXml(truncate(poll.article.source || style.label, 40))}</text>
+    ${questionLines.map((line, index) => `<text x="${margin}" y="${questionTop + index * 50 + 36}" font-family="Inter, Arial, sans-serif" font-size="40" font-weight="700" fill="#ffffff">${escapeXml(line)}</text>`).join('\n    ')}${bars}
+    <text x="${margin}" y="${height - margin + 16}" font-family="Inter, Arial, sans-serif" font-size="22" font-weight="500" fill="#ffffff" fill-opacity="0.8">${escapeXml(truncate(resultsHeadline(results), 80))}</text>
+</svg>`;
+}
+
+// The preview as PNG, since link previews don't show SVG images
+export function renderPollPreviewPng(poll, results) {
+    return sharp(Buffer.from(renderPollPreview(poll, results))).png().toBuffer();
+}
+
+// Shared page shell with the Open Graph and Twitter card tags
+function pageShell({ title, description, pageUrl, imageUrl, imageAlt, body }) {
+    const meta = [
+        ['property', 'og:type', 'website'],
+        ['property', 'og:site_name', 'Poll.it'],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', pageUrl],
+        ...(imageUrl ? [
+            ['property', 'og:image', imageUrl],
+            ['property', 'og:image:type', 'image/png'],
+            ['property', 'og:image:width', String(PREVIEW_WIDTH)],
+            ['property', 'og:image:height', String(PREVIEW_HEIGHT)],
+            ['property', 'og:image:alt', imageAlt],
+            ['name', 'twitter:image', imageUrl]
+        ] : []),
+        ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'description', description]
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeXml(title)} · Poll.it</title>
+    <link rel="canonical" href="${escapeXml(pageUrl)}">
+    ${meta.map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeXml(content)}">`).join('\n    ')}
+    <link rel="icon" type="image/svg+xml" href="/favicon.svg">
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        body { margin: 0; background: #0f172a; color: #ffffff; font-family: Inter, Arial, sans-serif; line-height: 1.5; }
+        main { max-width: 720px; margin: 0 auto; padding: 2rem 1.25rem 3rem; }
+        .logo { font-weight: 700; font-size: 1.5rem; color: #ffffff; text-decoration: none; }
+        .card { margin-top: 1.5rem; background: #1e293b; border: 1px solid #334155; border-radius: 16px; overflow: hidden; }
+        .card img { width: 100%; aspect-ratio: 2 / 1; object-fit: cover; display: block; }
+        .card-body { padding: 1.5rem; display: flex; flex-direction: column; gap: 1rem; }
+        h1 { font-size: 1.5rem; margin: 0; }
+        h2 { font-size: 1.2rem; margin: 0; }
+        .meta, .total { color: #94a3b8; font-size: 0.9rem; }
+        .description { margin: 0; color: #cbd5e1; }
+        .results { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 0.75rem; }
+        .result-label { display: flex; justify-content: space-between; gap: 1rem; }
+        .result-bar { height: 8px; border-radius: 4px; background: rgba(255, 255, 255, 0.1); margin-top: 0.35rem; }
+        .result-fill { height: 100%; border-radius: 4px; background: linear-gradient(135deg, #2563eb, #1e40af); }
+        .actions { display: flex; flex-wrap: wrap; gap: 1rem; align-items: center; }
+        .vote-link { background: linear-gradient(135deg, #2563eb, #1e40af); color: #ffffff; padding: 0.75rem 1.5rem; border-radius: 30px; font-weight: 600; text-decoration: none; }
+        .read-link { color: #3b82f6; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <main>
+        <a class="logo" href="/">Poll.it</a>
+        ${body}
+    </main>
+</body>
+</html>`;
+}
+
+// Server-rendered page for a poll: the article, the question and the current
+// results, with a link that opens the poll in the app for voting
+export function renderPollPage({ poll, results, pageUrl, imageUrl, imageSrc, appUrl }) {
+    const article = poll.article;
+    const description = `${resultsHeadline(results)} · ${article.title}`;
+
+    const body = `
+        <article class="card">
+            ${imageSrc ? `<img src="${escapeXml(imageSrc)}" alt="">` : ''}
+            <div class="card-body">
+                <p class="meta">${escapeXml(article.source || '')}${article.publishedAt ? ` · ${escapeXml(new Date(article.publishedAt).toDateString())}` : ''}</p>
+                <h1>${escapeXml(article.title)}</h1>
+                ${article.description ? `<p class="description">${escapeXml(article.description)}</p>` : ''}
+                <h2>${escapeXml(poll.question)}</h2>
+                <ul class="results">
+                    ${results.results.map(result => `
+                    <li>
+                        <div class="result-label"><span>${escapeXml(result.option)}</span><strong>${result.percentage}%</strong></div>
+                        <div class="result-bar"><div class="result-fill" style="width: ${Math.min(result.percentage, 100)}%"></div></div>
+                    </li>`).join('')}
+                </ul>
+                <p class="total">${escapeXml(resultsHeadline(results))}</p>
+                <div class="actions">
+                    <a class="vote-link" href="${escapeXml(appUrl)}">Vote on Poll.it</a>
+                    ${/^https?:\/\//i.test(article.url) ? `<a class="read-link" href="${escapeXml(article.url)}" target="_blank" rel="noopener">Read the article →</a>` : ''}
+                </div>
+            </div>
+        </article>`;
+
+    return pageShell({
+        title: poll.question,
+        description,
+        pageUrl,
+        imageUrl,
+        imageAlt: `Results so far for "${poll.question}"`,
+        body
+    });
+}
+
+// Page for a poll link that doesn't match a poll
+export function renderMissingPollPage({ pageUrl }) {
+    return pageShell({
+        title: 'Poll not found',
+        description: 'This poll may have been removed. Find more polls on the news at Poll.it.',
+        pageUrl,
+        imageUrl: null,
+        body: `
+        <article class="card">
+            <div class="card-body">
+                <h1>Poll not found</h1>
+                <p class="description">This poll may have been removed.</p>
+                <div class="actions"><a class="vote-link" href="/">Browse today's polls</a></div>
+            </div>
+        </article>`
+    });
+}
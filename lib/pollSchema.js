@@ -0,0 +1,84 @@
+import { POLL_TYPES, LIKERT_OPTIONS } from './pollTypes.js';
+import { checkString } from './schemaChecks.js';
+
+// Expected shape of generated poll content
+export const POLL_SCHEMA = {
+    type: { type: 'enum', values: POLL_TYPES },
+    question: { type: 'string', minLength: 10, maxLength: 300 },
+    options: { type: 'array', minItems: 3, maxItems: 5, item: { type: 'string', minLength: 1, maxLength: 200 } },
+    rationale: { type: 'string', minLength: 1, maxLength: 1000 }
+};
+
+// Option count limits that differ from the schema default, by poll type
+const OPTION_LIMITS = {
+    multi: { minItems: 3, maxItems: 6 }
+};
+
+// Validate parsed poll content against POLL_SCHEMA.
+// Returns a list of problems; an empty list means the content is valid.
+export function validatePollContent(content) {
+    const errors = [];
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        return ['response must be a JSON object'];
+    }
+
+    for (const [field, rule] of Object.entries(POLL_SCHEMA)) {
+        const value = content[field];
+        if (rule.type === 'enum') {
+            if (!rule.values.includes(value)) {
+                errors.push(`${field} must be one of: ${rule.values.join(', ')}`);
+            }
+            continue;
+        }
+        if (rule.type === 'string') {
+            checkString(value, rule, field, errors);
+            continue;
+        }
+
+        // Likert polls always use the fixed agreement scale
+        if (field === 'options' && content.type === 'likert') {
+            continue;
+        }
+
+        if (!Array.isArray(value)) {
+            errors.push(`${field} must be an array`);
+            continue;
+        }
+        const { minItems, maxItems } = OPTION_LIMITS[content.type] || rule;
+        if (value.length < minItems || value.length > maxItems) {
+            errors.push(`${field} must contain between ${minItems} and ${maxItems} items`);
+        }
+        value.forEach((item, index) => checkString(item, rule.item, `${field}[${index}]`, errors));
+
+        const unique = new Set(value.map(item => String(item).trim().toLowerCase()));
+        if (unique.size !== value.length) {
+            errors.push(`${field} must not contain duplicates`);
+        }
+    }
+
+    return errors;
+}
+
+// Parse a model response into poll content, throwing if it is invalid
+export function parsePollContent(text) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        throw new Error('Response is not valid JSON');
+    }
+
+    const errors = validatePollContent(content);
+    if (errors.length) {
+        throw new Error(`Response does not match the poll schema: ${errors.join('; ')}`);
+    }
+
+    return {
+        type: content.type,
+        question: content.question.trim(),
+        options: content.type === 'likert'
+            ? [...LIKERT_OPTIONS]
+            : content.options.map(option => option.trim()),
+        rationale: content.rationale.trim()
+    };
+}
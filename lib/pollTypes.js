@@ -0,0 +1,158 @@
+// Poll types and how each one validates votes and aggregates results.
+//   single  pick one option
+//   multi   pick every option you agree with
+//   ranked  order the options by preference (instant-runoff results)
+//   likert  rate agreement with a statement on a 5-point scale
+export const POLL_TYPES = ['single', 'multi', 'ranked', 'likert'];
+
+// Fixed answer scale for likert polls, from 1 to 5
+export const LIKERT_OPTIONS = ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'];
+
+// Polls stored before types existed are single choice
+export function pollType(poll) {
+    return poll.type || 'single';
+}
+
+function percentage(count, total) {
+    return total ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+// Check that a list of options is a non-empty, duplicate-free subset of the
+// poll's options
+function isOptionList(poll, list) {
+    return Array.isArray(list)
+        && list.length > 0
+        && list.every(option => typeof option === 'string' && poll.options.includes(option))
+        && new Set(list).size === list.length;
+}
+
+// Validate a vote request body for a poll. Returns { choice } with the
+// fields to store, or { error } describing what's wrong.
+export function validateVote(poll, body) {
+    switch (pollType(poll)) {
+        case 'multi':
+            if (!isOptionList(poll, body.options)) {
+                return { error: 'Options must be a list of distinct poll options' };
+            }
+            return { choice: { options: body.options } };
+        case 'ranked':
+            if (!isOptionList(poll, body.ranking)) {
+                return { error: 'Ranking must list distinct poll options in order of preference' };
+            }
+            return { choice: { ranking: body.ranking } };
+        default:
+            if (typeof body.option !== 'string' || !poll.options.includes(body.option)) {
+                return { error: 'Option must be one of the poll options' };
+            }
+            return { choice: { option: body.option } };
+    }
+}
+
+// The raw choice stored on a vote
+export function voteChoice(vote) {
+    if (vote.options) return { options: vote.options };
+    if (vote.ranking) return { ranking: vote.ranking };
+    return { option: vote.option };
+}
+
+// The options a vote counts toward when comparing with other readers:
+// every pick for multi, the first preference for ranked
+export function chosenOptions(vote) {
+    if (vote.options) return vote.options;
+    if (vote.ranking) return vote.ranking.slice(0, 1);
+    return [vote.option];
+}
+
+// Human-readable summary of a vote
+export function describeChoice(vote) {
+    if (vote.options) return vote.options.join(', ');
+    if (vote.ranking) return vote.ranking.map((option, index) => `${index + 1}. ${option}`).join(', ');
+    return vote.option;
+}
+
+// Count how often each option was chosen. Choices of options the poll no
+// longer has are ignored.
+function countChoices(poll, votes) {
+    const counts = new Map(poll.options.map(option => [option, 0]));
+    for (const vote of votes) {
+        for (const option of chosenOptions(vote)) {
+            if (counts.has(option)) {
+                counts.set(option, counts.get(option) + 1);
+            }
+        }
+    }
+    return counts;
+}
+
+// Instant-runoff count: repeatedly eliminate the option with the fewest
+// first preferences, moving its ballots to their next surviving choice,
+// until one option holds a majority of the remaining ballots
+export function instantRunoff(options, ballots) {
+    const remaining = new Set(options);
+    const rounds = [];
+
+    while (remaining.size > 0) {
+        const tally = new Map([...remaining].map(option => [option, 0]));
+        let active = 0;
+        for (const ballot of ballots) {
+            const choice = ballot.find(option => remaining.has(option));
+            if (choice) {
+                tally.set(choice, tally.get(choice) + 1);
+                active++;
+            }
+        }
+
+        const counts = Object.fromEntries(tally);
+        const sorted = [...tally.entries()].sort((a, b) => b[1] - a[1]);
+        const [leader, leaderVotes] = sorted[0];
+
+        if (active === 0) {
+            rounds.push({ counts, eliminated: null });
+            return { winner: null, rounds };
+        }
+        if (leaderVotes * 2 > active || remaining.size === 1) {
+            rounds.push({ counts, eliminated: null });
+            return { winner: leader, rounds };
+        }
+
+        // Eliminate the weakest option; ties go to the option listed last
+        const fewest = Math.min(...tally.values());
+        const eliminated = [...remaining].filter(option => tally.get(option) === fewest).pop();
+        rounds.push({ counts, eliminated });
+        remaining.delete(eliminated);
+    }
+
+    return { winner: null, rounds };
+}
+
+// Aggregate a poll's votes. Every type returns a per-option results list so
+// the same bar chart can render it; some types add extra fields.
+export function aggregateResults(poll, votes) {
+    const type = pollType(poll);
+    const totalVotes = votes.length;
+    const counts = countChoices(poll, votes);
+    const results = [...counts.entries()].map(([option, count]) => ({
+        option,
+        count,
+        // For multi-select this is the share of voters who picked the option,
+        // so the percentages can add up to more than 100
+        percentage: percentage(count, totalVotes)
+    }));
+
+    const aggregate = { pollId: poll.id, type, totalVotes, results };
+
+    if (type === 'ranked') {
+        const { winner, rounds } = instantRunoff(poll.options, votes.map(vote => vote.ranking || [vote.option]));
+        aggregate.winner = winner;
+        aggregate.rounds = rounds;
+    }
+
+    if (type === 'likert') {
+        const sum = votes.reduce((total, vote) => total + LIKERT_OPTIONS.indexOf(vote.option) + 1, 0);
+        const agree = (counts.get('Agree') || 0) + (counts.get('Strongly agree') || 0);
+        aggregate.average = totalVotes ? Math.round((sum / totalVotes) * 100) / 100 : null;
+        aggregate.agreePercentage = percentage(agree, totalVotes);
+    }
+
+    return aggregate;
+}
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import db from './db.js';
+import { pollType, aggregateResults, chosenOptions, describeChoice, voteChoice } from './pollTypes.js';
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|ref|cmpid|ocid)$/i;
+
+// Normalize an article URL so trivially different links map to the same poll
+export function normalizeArticleUrl(articleUrl) {
+    try {
+        const url = new URL(articleUrl);
+        url.hash = '';
+        url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+        for (const key of [...url.searchParams.keys()]) {
+            if (TRACKING_PARAMS.test(key)) {
+                url.searchParams.delete(key);
+            }
+        }
+        url.searchParams.sort();
+        url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+        return `${url.protocol}//${url.host}${url.pathname}${url.search}`;
+    } catch {
+        return articleUrl.trim();
+    }
+}
+
+// Stable article ID derived from the normalized article URL
+export function getArticleId(articleUrl) {
+    return crypto
+        .createHash('sha256')
+        .update(normalizeArticleUrl(articleUrl))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Each story has one poll. Articles that were clustered into a story share
+// its ID (see lib/stories.js); any other article is its own story.
+export function getPollId(articleUrl) {
+    const articleId = getArticleId(articleUrl);
+    return db.data.stories[articleId] || articleId;
+}
+
+export function getPoll(pollId) {
+    return db.data.polls[pollId] || null;
+}
+
+// Store the generated content for an article's poll. Regenerating a poll
+// replaces its question, so votes cast on the old question are discarded.
+// A poll keeps the article it was first stored with.
+export function savePoll(article, content) {
+    const id = getPollId(article.url);
+    const existing = db.data.polls[id];
+    const now = new Date().toISOString();
+
+    const poll = {
+        id,
+        article: existing?.article || {
+            title: article.title,
+            description: article.description,
+            url: article.url,
+            source: article.source?.name || article.source || null,
+            urlToImage: article.urlToImage || null,
+            publishedAt: article.publishedAt || null
+        },
+        category: article.category || existing?.category || null,
+        type: content.type,
+        question: content.question,
+        options: content.options,
+        rationale: content.rationale,
+        createdAt: existing?.createdAt || now,
+        generatedAt: now
+    };
+    db.data.polls[id] = poll;
+
+    if (existing) {
+        db.data.votes = db.data.votes.filter(vote => vote.pollId !== id);
+    }
+
+    db.save();
+    return poll;
+}
+
+// Record the category a poll's article belongs to
+export function tagPollCategory(pollId, category) {
+    const poll = getPoll(pollId);
+    if (poll) {
+        poll.category = category;
+        db.save();
+    }
+}
+
+// The vote a user cast on a poll, if any
+export function getUserVote(pollId, userId) {
+    if (!userId) return null;
+    return db.data.votes.find(vote => vote.pollId === pollId && vote.userId === userId) || null;
+}
+
+// Store a user's vote for a poll. `choice` holds the type-specific fields
+// from validateVote. Each user gets one vote per poll, so this returns null
+// when they have already voted.
+export function recordVote(pollId, userId, choice) {
+    if (getUserVote(pollId, userId)) {
+        return null;
+    }
+
+    const vote = {
+        pollId,
+        userId,
+        ...choice,
+        createdAt: new Date().toISOString()
+    };
+    db.data.votes.push(vote);
+    db.save();
+    return vote;
+}
+
+// Move votes cast by one user to another, e.g. when an anonymous reader logs
+// into an existing account. Votes on polls the target already answered are
+// dropped so the one-vote rule still holds.
+export function transferVotes(fromUserId, toUserId) {
+    const answered = new Set(
+        db.data.votes.filter(vote => vote.userId === toUserId).map(vote => vote.pollId)
+    );
+    db.data.votes = db.data.votes.filter(vote => {
+        if (vote.userId !== fromUserId) return true;
+        if (answered.has(vote.pollId)) return false;
+        vote.userId = toUserId;
+        return true;
+    });
+    db.save();
+}
+
+// Aggregated results for a poll (see aggregateResults for the shape)
+export function getResults(pollId) {
+    const poll = getPoll(pollId);
+    if (!poll) {
+        return { pollId, totalVotes: 0, results: [] };
+    }
+    return aggregateResults(poll, db.data.votes.filter(vote => vote.pollId === pollId));
+}
+
+// Compare a vote with the poll's most popular answer. Ranked polls compare
+// the first preference with the instant-runoff winner.
+function compareWithMajority(results, vote) {
+    const chosen = chosenOptions(vote);
+    let leaders;
+    if (results.type === 'ranked' && results.winner) {
+        leaders = results.results.filter(result => result.option === results.winner);
+    } else {
+        const top = Math.max(0, ...results.results.map(result => result.count));
+        leaders = results.results.filter(result => result.count === top);
+    }
+
+    return {
+        majority: leaders.map(result => result.option),
+        majorityPercentage: leaders[0]?.percentage || 0,
+        // "majority" when the vote backs the sole leader, "tied" when the lead is shared
+        standing: !leaders.some(result => chosen.includes(result.option))
+            ? 'minority'
+            : leaders.length > 1 ? 'tied' : 'majority'
+    };
+}
+
+// A user's past votes, newest first, with the poll, its article and the
+// current results. Optionally limited to one category.
+export function getVoteHistory(userId, { category } = {}) {
+    return db.data.votes
+        .filter(vote => vote.userId === userId)
+        .map(vote => ({ vote, poll: getPoll(vote.pollId) }))
+        .filter(({ poll }) => poll && (!category || poll.category === category))
+        .sort((a, b) => b.vote.createdAt.localeCompare(a.vote.createdAt))
+        .map(({ vote, poll }) => {
+            const results = getResults(poll.id);
+            return {
+                pollId: poll.id,
+                type: pollType(poll),
+                option: describeChoice(vote),
+                choice: voteChoice(vote),
+                votedAt: vote.createdAt,
+                question: poll.question,
+                category: poll.category || null,
+                article: {
+                    title: poll.article.title,
+                    url: poll.article.url,
+                    source: poll.article.source
+                },
+                results,
+                ...compareWithMajority(results, vote)
+            };
+        });
+}
@@ -0,0 +1,160 @@
+// Prompts sent to the LLM provider
+
+// System prompt for poll generation
+export const POLL_SYSTEM_PROMPT = "You are a news analyst who creates engaging, opinion-based poll questions. Your questions should be specific to each article and spark meaningful debate about the article's unique aspects. Never use numbers or prefixes in the options. Focus on controversial aspects and ethical implications of the news story. Make questions that require people to take a stance on the specific issues raised in the article. Always respond with a single JSON object.";
+
+// User prompt asking for a poll about an article
+export function buildPollPrompt(article) {
+    return `Create a thought-provoking, opinion-based poll question specifically about this news article. The question should be directly related to the article's content and ask for people's views on the specific implications, outcomes, or ethical considerations raised in the article.
+
+Article Title: ${article.title}
+Article Description: ${article.description}
+
+Choose the poll type that best fits the story:
+- "single": readers pick one of three to five competing positions (the default for most stories)
+- "multi": readers pick every option they agree with, for stories with several independent proposals, causes or priorities
+- "ranked": readers order three to five options by preference, for stories about trade-offs or competing priorities
+- "likert": readers rate how much they agree with one clear, debatable statement; write the question as that statement
+
+Respond with a JSON object with exactly these fields:
+- "type": one of "single", "multi", "ranked" or "likert"
+- "question": your specific, opinion-based question (or statement, for "likert") about this article
+- "options": an array of opinion options that directly relate to the article (three to five; three to six for "multi"; an empty array for "likert")
+- "rationale": one or two sentences explaining why this question and poll type fit the story
+
+Example (based on a tech article):
+{
+  "type": "single",
+  "question": "Should companies be required to disclose their AI training data sources?",
+  "options": [
+    "Yes, transparency is crucial for ethical AI development",
+    "No, it could expose trade secrets and competitive advantages",
+    "Only for high-risk applications, with exceptions for proprietary data"
+  ],
+  "rationale": "Training data disclosure pits public accountability against commercial secrecy."
+}
+
+Remember:
+- Make the question SPECIFIC to this article's content
+- Focus on the article's unique aspects or implications
+- Create options that reflect different viewpoints on the article's specific topic
+- Avoid generic questions like "What's your take" or "Do you agree"
+- Make it controversial enough to spark debate
+- Each option should be a complete thought that relates to the article
+- Do not use any numbering or prefixes in the options`;
+}
+
+// System prompt for bias analysis
+export const BIAS_SYSTEM_PROMPT = "You are a careful media analyst who rates news coverage for bias. You judge only the wording and framing of the text you are given, not the underlying events, and you never invent quotes. When the text is too short to judge, you give low scores and say so. Always respond with a single JSON object.";
+
+// User prompt asking for a bias analysis of an article's title and description
+export function buildBiasPrompt(article) {
+    return `Rate the bias in how this news article is written.
+
+Article Title: ${article.title}
+Article Description: ${article.description || ''}
+
+Score three dimensions:
+- "loadedLanguage": 0 to 100. How much emotive, sensational or judgmental wording is used instead of neutral description.
+- "oneSidedness": 0 to 100. How much the text presents a single viewpoint without acknowledging others.
+- "lean": -100 to 100. Whether the framing favors a left-leaning (negative) or right-leaning (positive) perspective. Use 0 when there is no discernible lean.
+
+Respond with a JSON object with exactly these fields:
+- "loadedLanguage": { "score": number, "phrases": [exact quotes from the title or description behind the score], "explanation": one sentence }
+- "oneSidedness": { "score": number, "phrases": [...], "explanation": one sentence }
+- "lean": { "score": number, "phrases": [...], "explanation": one sentence }
+- "summary": one or two sentences summarizing the overall assessment
+
+Every phrase must be copied word for word from the title or description. Use an empty array when no phrase supports a score.`;
+}
+
+// How a summary should be written at each reading level
+const SUMMARY_LEVEL_GUIDES = {
+    basic: 'Write for a reader aged about 10 to 12. Use short sentences and everyday words, and explain any idea a child might not know.',
+    'high-school': 'Write for a high school student. Use clear, plain language and briefly explain political or technical terms.',
+    expert: 'Write for a well-informed adult. Be precise and concise, use the correct technical and political terms, and point out what the article leaves unclear.'
+};
+
+// System prompt for article summaries
+export const SUMMARY_SYSTEM_PROMPT = "You are a neutral news explainer. You summarize news fairly, without taking sides or using loaded language, and you never add facts that are not in the article. Background you add must be general, well-established context. Always respond with a single JSON object.";
+
+// User prompt asking for a summary of an article at a reading level
+export function buildSummaryPrompt(article, level) {
+    return `Summarize this news article at the requested reading level.
+
+Article Title: ${article.title}
+Article Description: ${article.description || ''}
+Reading Level: ${level}
+
+${SUMMARY_LEVEL_GUIDES[level]}
+
+Respond with a JSON object with exactly these fields:
+- "summary": a neutral summary of the article in one to three short paragraphs
+- "deeperDive": one paragraph of background that helps the reader understand why the story matters, or an empty string if none is needed
+- "keyTerms": an array of up to eight objects with "term" and "definition", for the names, institutions and concepts a reader at this level may not know
+
+Only summarize what the title and description say. Do not guess at details the article does not give.`;
+}
+
+// System prompt for multi-perspective framings
+export const PERSPECTIVES_SYSTEM_PROMPT = "You help readers understand how people with different political outlooks see the same news story. You describe each viewpoint the way its own supporters would put it, charitably and without caricature, and you give the strongest counterarguments to each. You do not say which viewpoint is right. Always respond with a single JSON object.";
+
+// User prompt asking for the story framed from several viewpoints
+export function buildPerspectivesPrompt(article) {
+    return `Describe how different viewpoints would frame this news story.
+
+Article Title: ${article.title}
+Article Description: ${article.description || ''}
+
+Cover exactly these viewpoints:
+- "progressive"
+- "conservative"
+- "libertarian"
+- "stakeholder": the group of people most directly affected by the story (name them in a "stakeholder" field, e.g. "Local residents" or "Small business owners")
+
+Respond with a JSON object with a "perspectives" array. Each item has:
+- "viewpoint": one of "progressive", "conservative", "libertarian" or "stakeholder"
+- "stakeholder": only for the stakeholder viewpoint, who the stakeholders are
+- "framing": two to four sentences describing the story as someone with this viewpoint would
+- "counterarguments": one to three short counterarguments that critics of this framing would raise
+
+Base every framing on what the title and description say. Do not invent facts.`;
+}
+
+// System prompt for comprehension quizzes
+export const QUIZ_SYSTEM_PROMPT = "You write short reading-comprehension quizzes about news articles. Every question must be answerable from the article text alone, with exactly one correct option. Questions test facts from the article, never opinions. Always respond with a single JSON object.";
+
+// User prompt asking for comprehension questions about an article
+export function buildQuizPrompt(article) {
+    return `Write two or three multiple-choice comprehension questions about this news article.
+
+Article Title: ${article.title}
+Article Description: ${article.description || ''}
+
+Respond with a JSON object with a "questions" array. Each question has:
+- "question": the question text
+- "options": three or four answer options, only one of them correct
+- "answerIndex": the zero-based index of the correct option
+- "explanation": one sentence explaining the correct answer, citing the article
+
+Only ask about facts stated in the title or description. Make the wrong options plausible but clearly wrong to someone who read the article.`;
+}
+
+// System prompt for glossary suggestions
+export const GLOSSARY_SYSTEM_PROMPT = "You write short, neutral glossary definitions of political, legal, economic and technical terms for general news readers. Definitions explain what a term means in general, not what the article says about it. Always respond with a single JSON object.";
+
+// User prompt asking for glossary terms that appear in an article
+export function buildGlossaryPrompt(article) {
+    return `Pick the terms in this news article that a general reader might not understand.
+
+Article Title: ${article.title}
+Article Description: ${article.description || ''}
+
+Choose up to five political, legal, economic or technical terms. Skip names of people, places and organizations unless the name itself needs explaining, and skip everyday words.
+
+Respond with a JSON object with a "terms" array. Each item has:
+- "term": the term exactly as it is written in the article
+- "definition": one or two plain sentences defining the term
+
+Use an empty array if no term needs explaining.`;
+}
@@ -0,0 +1,72 @@
+import { checkString } from './schemaChecks.js';
+
+// Expected shape of a generated comprehension quiz
+export const QUIZ_SCHEMA = {
+    questions: { minItems: 2, maxItems: 3 },
+    question: { minLength: 10, maxLength: 300 },
+    options: { minItems: 3, maxItems: 4, minLength: 1, maxLength: 200 },
+    explanation: { minLength: 1, maxLength: 500 }
+};
+
+// Validate parsed quiz content against QUIZ_SCHEMA.
+// Returns a list of problems; an empty list means the content is valid.
+export function validateQuiz(content) {
+    if (!content || typeof content !== 'object' || !Array.isArray(content.questions)) {
+        return ['response must be a JSON object with a "questions" array'];
+    }
+
+    const errors = [];
+    const { questions } = content;
+    if (questions.length < QUIZ_SCHEMA.questions.minItems || questions.length > QUIZ_SCHEMA.questions.maxItems) {
+        errors.push(`questions must contain between ${QUIZ_SCHEMA.questions.minItems} and ${QUIZ_SCHEMA.questions.maxItems} items`);
+    }
+
+    questions.forEach((item, index) => {
+        const name = `questions[${index}]`;
+        if (!item || typeof item !== 'object') {
+            errors.push(`${name} must be an object`);
+            return;
+        }
+        checkString(item.question, QUIZ_SCHEMA.question, `${name}.question`, errors);
+        checkString(item.explanation, QUIZ_SCHEMA.explanation, `${name}.explanation`, errors);
+
+        const { options, answerIndex } = item;
+        const rule = QUIZ_SCHEMA.options;
+        if (!Array.isArray(options) || options.length < rule.minItems || options.length > rule.maxItems) {
+            errors.push(`${name}.options must be an array of ${rule.minItems} to ${rule.maxItems} strings`);
+            return;
+        }
+        options.forEach((option, optionIndex) => checkString(option, rule, `${name}.options[${optionIndex}]`, errors));
+        if (new Set(options.map(option => String(option).trim().toLowerCase())).size !== options.length) {
+            errors.push(`${name}.options must not contain duplicates`);
+        }
+        if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= options.length) {
+            errors.push(`${name}.answerIndex must be the index of the correct option`);
+        }
+    });
+
+    return errors;
+}
+
+// Parse a model response into quiz questions, throwing if it is invalid.
+// The result includes the answer key and must stay on the server.
+export function parseQuiz(text) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        throw new Error('Response is not valid JSON');
+    }
+
+    const errors = validateQuiz(content);
+    if (errors.length) {
+        throw new Error(`Response does not match the quiz schema: ${errors.join('; ')}`);
+    }
+
+    return content.questions.map(item => ({
+        question: item.question.trim(),
+        options: item.options.map(option => option.trim()),
+        answerIndex: item.answerIndex,
+        explanation: item.explanation.trim()
+    }));
+}
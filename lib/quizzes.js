@@ -0,0 +1,86 @@
+import db from './db.js';
+
+// Quiz questions without the answer key, safe to send before the reader
+// answers
+export function publicQuestions(questions) {
+    return questions.map(({ question, options }) => ({ question, options }));
+}
+
+// The attempt a user made on a quiz, if any
+export function getQuizAttempt(quizId, userId) {
+    if (!userId) return null;
+    return db.data.quizAttempts.find(attempt => attempt.quizId === quizId && attempt.userId === userId) || null;
+}
+
+// Check submitted answers: one option index per question. Returns an error
+// message or null.
+export function validateAnswers(questions, answers) {
+    if (!Array.isArray(answers) || answers.length !== questions.length) {
+        return `Answers must be a list of ${questions.length} option indexes, one per question`;
+    }
+    const invalid = answers.some((answer, index) =>
+        !Number.isInteger(answer) || answer < 0 || answer >= questions[index].options.length);
+    return invalid ? 'Each answer must be the index of one of the question\'s options' : null;
+}
+
+// Mark answers against the answer key
+export function gradeQuiz(questions, answers) {
+    const results = questions.map((item, index) => ({
+        question: item.question,
+        options: item.options,
+        chosenIndex: answers[index],
+        correctIndex: item.answerIndex,
+        correct: answers[index] === item.answerIndex,
+        explanation: item.explanation
+    }));
+    return {
+        results,
+        correct: results.filter(result => result.correct).length,
+        total: results.length
+    };
+}
+
+// Store a graded attempt. Each user gets one attempt per quiz, so this
+// returns null when they have already answered it. The questions are kept
+// with the attempt so it can be reviewed even if the quiz is regenerated.
+export function recordQuizAttempt(quizId, userId, graded) {
+    if (getQuizAttempt(quizId, userId)) {
+        return null;
+    }
+
+    const attempt = {
+        quizId,
+        userId,
+        ...graded,
+        createdAt: new Date().toISOString()
+    };
+    db.data.quizAttempts.push(attempt);
+    db.save();
+    return attempt;
+}
+
+// Public fields of an attempt
+export function formatAttempt(attempt) {
+    return {
+        quizId: attempt.quizId,
+        results: attempt.results,
+        correct: attempt.correct,
+        total: attempt.total,
+        answeredAt: attempt.createdAt
+    };
+}
+
+// Move quiz attempts from one user to another, dropping attempts on quizzes
+// the target already answered (see transferVotes)
+export function transferQuizAttempts(fromUserId, toUserId) {
+    const answered = new Set(
+        db.data.quizAttempts.filter(attempt => attempt.userId === toUserId).map(attempt => attempt.quizId)
+    );
+    db.data.quizAttempts = db.data.quizAttempts.filter(attempt => {
+        if (attempt.userId !== fromUserId) return true;
+        if (answered.has(attempt.quizId)) return false;
+        attempt.userId = toUserId;
+        return true;
+    });
+    db.save();
+}
@@ -0,0 +1,95 @@
+// Live poll results over Server-Sent Events. Each open poll card holds one
+// connection; votes call publish() and subscribers receive the poll's
+// current tallies. Broadcasts are throttled per poll so a burst of votes
+// turns into one message per interval instead of one per vote.
+export function createResultsStream({ getResults, throttleMs = 1000, heartbeatMs = 25000 }) {
+    // pollId -> Set of open responses
+    const subscribers = new Map();
+    // pollId -> { lastSent, timer }
+    const throttles = new Map();
+
+    function send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Send the latest results to everyone watching a poll
+    function broadcast(pollId) {
+        const listeners = subscribers.get(pollId);
+        const state = throttles.get(pollId);
+        if (state) {
+            state.lastSent = Date.now();
+            state.timer = null;
+        }
+        if (!listeners || listeners.size === 0) return;
+
+        const results = getResults(pollId);
+        for (const res of listeners) {
+            send(res, 'results', results);
+        }
+        console.log(`Broadcast results for poll ${pollId} to ${listeners.size} subscriber(s)`);
+    }
+
+    // Open an event stream for a poll, starting with its current results
+    function subscribe(pollId, req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stop reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${throttleMs * 5}\n\n`);
+        send(res, 'results', getResults(pollId));
+
+        if (!subscribers.has(pollId)) {
+            subscribers.set(pollId, new Set());
+        }
+        subscribers.get(pollId).add(res);
+
+        req.on('close', () => {
+            const listeners = subscribers.get(pollId);
+            if (!listeners) return;
+            listeners.delete(res);
+            if (listeners.size === 0) {
+                subscribers.delete(pollId);
+                const state = throttles.get(pollId);
+                if (state?.timer) clearTimeout(state.timer);
+                throttles.delete(pollId);
+            }
+        });
+    }
+
+    // Note that a poll's results changed. The first change after a quiet
+    // period goes out immediately; later ones wait for the interval to end.
+    function publish(pollId) {
+        if (!subscribers.has(pollId)) return;
+
+        let state = throttles.get(pollId);
+        if (!state) {
+            state = { lastSent: 0, timer: null };
+            throttles.set(pollId, state);
+        }
+        if (state.timer) return;
+
+        const wait = state.lastSent + throttleMs - Date.now();
+        if (wait <= 0) {
+            broadcast(pollId);
+        } else {
+            state.timer = setTimeout(() => broadcast(pollId), wait);
+        }
+    }
+
+    // Comment lines keep idle connections from being closed by proxies
+    // (Heroku drops connections that send nothing for 55 seconds)
+    const heartbeat = setInterval(() => {
+        for (const listeners of subscribers.values()) {
+            for (const res of listeners) {
+                res.write(': ping\n\n');
+            }
+        }
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    return { subscribe, publish };
+}
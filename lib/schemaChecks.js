@@ -0,0 +1,18 @@
+// Checks shared by the schemas of every kind of LLM-generated content
+
+// Check a single string against its length rules, adding any problem to
+// `errors`. Blank strings only pass rules with a minLength of 0.
+export function checkString(value, rule, name, errors) {
+    if (typeof value !== 'string') {
+        errors.push(`${name} must be a string`);
+        return;
+    }
+    if (!value.trim() && rule.minLength > 0) {
+        errors.push(`${name} must be a non-empty string`);
+        return;
+    }
+    const length = value.trim().length;
+    if (length < rule.minLength || length > rule.maxLength) {
+        errors.push(`${name} must be between ${rule.minLength} and ${rule.maxLength} characters`);
+    }
+}
@@ -0,0 +1,117 @@
+// Languages NewsAPI can filter by
+export const NEWS_LANGUAGES = ['ar', 'de', 'en', 'es', 'fr', 'he', 'it', 'nl', 'no', 'pt', 'ru', 'sv', 'ud', 'zh'];
+export const NEWS_SORT_ORDERS = ['relevancy', 'popularity', 'publishedAt'];
+
+// Filters used when a request doesn't set them
+export const DEFAULT_NEWS_FILTERS = { language: 'en', sortBy: 'relevancy' };
+
+// Most source IDs or domains one request can list
+const MAX_LIST_ITEMS = 20;
+
+const DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const SOURCE_ID = /^[a-z0-9][a-z0-9.-]{0,49}$/;
+const DOMAIN = /^(?!-)[a-z0-9-]{1,63}(\.[a-z0-9-]{1,63})*\.[a-z]{2,}$/;
+
+// Split a comma-separated list parameter into lowercase items
+function listParam(value) {
+    return String(value)
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Source ID for an article: its NewsAPI ID, or its name as a slug, e.g.
+// "BBC News" -> "bbc-news"
+export function articleSourceId(article) {
+    return article.source?.id || (article.source?.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Read the search filters from /api/news query parameters. Returns
+// { filters } with every filter set, or { error } describing the first
+// invalid one.
+export function parseNewsFilters(params) {
+    const filters = { ...DEFAULT_NEWS_FILTERS, from: null, to: null, sources: [], excludeDomains: [] };
+
+    for (const key of ['from', 'to']) {
+        if (!params[key]) continue;
+        const value = String(params[key]);
+        if (!DATE.test(value) || Number.isNaN(Date.parse(value))) {
+            return { error: `"${key}" must be a date such as 2025-06-01` };
+        }
+        filters[key] = value;
+    }
+    if (filters.from && filters.to && Date.parse(filters.from) > Date.parse(filters.to)) {
+        return { error: '"from" must not be after "to"' };
+    }
+
+    if (params.sources) {
+        filters.sources = listParam(params.sources);
+        if (filters.sources.length > MAX_LIST_ITEMS || !filters.sources.every(id => SOURCE_ID.test(id))) {
+            return { error: `"sources" must be a comma-separated list of up to ${MAX_LIST_ITEMS} source IDs such as bbc-news` };
+        }
+    }
+    if (params.excludeDomains) {
+        filters.excludeDomains = listParam(params.excludeDomains).map(domain => domain.replace(/^www\./, ''));
+        if (filters.excludeDomains.length > MAX_LIST_ITEMS || !filters.excludeDomains.every(domain => DOMAIN.test(domain))) {
+            return { error: `"excludeDomains" must be a comma-separated list of up to ${MAX_LIST_ITEMS} domains such as example.com` };
+        }
+    }
+
+    if (params.sortBy) {
+        if (!NEWS_SORT_ORDERS.includes(params.sortBy)) {
+            return { error: `"sortBy" must be one of ${NEWS_SORT_ORDERS.join(', ')}` };
+        }
+        filters.sortBy = params.sortBy;
+    }
+    if (params.language) {
+        if (!NEWS_LANGUAGES.includes(params.language)) {
+            return { error: `"language" must be one of ${NEWS_LANGUAGES.join(', ')}` };
+        }
+        filters.language = params.language;
+    }
+
+    return { filters };
+}
+
+// Whether any filter differs from the defaults
+export function hasCustomFilters(filters) {
+    return Boolean(filters.from || filters.to || filters.sources.length || filters.excludeDomains.length
+        || filters.sortBy !== DEFAULT_NEWS_FILTERS.sortBy || filters.language !== DEFAULT_NEWS_FILTERS.language);
+}
+
+// Hostname of an article URL without "www.", or '' if it can't be parsed
+function articleDomain(article) {
+    try {
+        return new URL(article.url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+// Apply the date, source and domain filters to merged articles and sort them
+// by date when asked. Sources that filter upstream (NewsAPI) have already
+// done this; feeds and fixtures haven't. Language can't be checked here, so
+// sources declare theirs instead (see fetchArticles).
+export function applyNewsFilters(articles, filters) {
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+    // A bare "to" date includes the whole day
+    const toEnd = to !== null && filters.to.length === 10 ? to + 24 * 60 * 60 * 1000 - 1 : to;
+
+    const filtered = articles.filter(article => {
+        const publishedAt = article.publishedAt ? Date.parse(article.publishedAt) : null;
+        if ((from !== null || toEnd !== null) && publishedAt === null) return false;
+        if (from !== null && publishedAt < from) return false;
+        if (toEnd !== null && publishedAt > toEnd) return false;
+        if (filters.sources.length && !filters.sources.includes(articleSourceId(article))) return false;
+
+        const domain = articleDomain(article);
+        if (filters.excludeDomains.some(excluded => domain === excluded || domain.endsWith(`.${excluded}`))) return false;
+        return true;
+    });
+
+    if (filters.sortBy === 'publishedAt') {
+        filtered.sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+    }
+    return filtered;
+}
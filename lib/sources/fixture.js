@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+import { normalizeArticle, queryTerms, matchesQuery } from './normalize.js';
+
+// Local JSON fixture source for offline development. The file holds an array
+// of articles, each optionally tagged with the categories it belongs to.
+export function createFixtureSource({ file, name = 'Fixtures' }) {
+    const filePath = path.resolve(process.cwd(), file);
+
+    return {
+        type: 'fixture',
+        name,
+
+        async fetchArticles({ query, category }) {
+            const raw = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            const terms = category ? [] : queryTerms(query);
+
+            return raw
+                .filter(article => !category || category === 'top' || article.categories?.includes(category))
+                .map(article => normalizeArticle(article, name))
+                .filter(article => matchesQuery(article, terms));
+        }
+    };
+}
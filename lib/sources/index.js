@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { createNewsApiSource } from './newsapi.js';
+import { createRssSource } from './rss.js';
+import { createFixtureSource } from './fixture.js';
+import { DEFAULT_NEWS_FILTERS, applyNewsFilters } from './filters.js';
+
+// Build a source adapter from its config entry. Returns null for sources that
+// can't run in this environment (e.g. NewsAPI without a key).
+function createSource(definition, env) {
+    switch (definition.type) {
+        case 'newsapi':
+            if (!env.NEWS_API_KEY) {
+                console.warn('NEWS_API_KEY is not set, skipping the NewsAPI source');
+                return null;
+            }
+            return createNewsApiSource({ apiKey: env.NEWS_API_KEY, name: definition.name });
+        case 'rss':
+            return createRssSource(definition);
+        case 'fixture':
+            return createFixtureSource(definition);
+        default:
+            throw new Error(`Unknown news source type: ${definition.type}`);
+    }
+}
+
+// Load the configured news sources from NEWS_SOURCES_FILE. Each entry may
+// list the categories it serves; entries without "categories" serve every
+// request, including free-text searches. Entries may also give the
+// `language` they publish in, so they can be left out of searches in other
+// languages.
+export function loadSources(env = process.env) {
+    const file = path.resolve(process.cwd(), env.NEWS_SOURCES_FILE || 'config/sources.json');
+    const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const sources = definitions
+        .map(definition => {
+            const source = createSource(definition, env);
+            return source && {
+                ...source,
+                categories: definition.categories || null,
+                language: definition.language || null
+            };
+        })
+        .filter(Boolean);
+
+    if (sources.length === 0) {
+        console.warn('No news sources are available, falling back to local fixtures');
+        sources.push({ ...createFixtureSource({ file: 'fixtures/articles.json' }), categories: null, language: null });
+    }
+
+    console.log('News sources:', sources.map(source => `${source.type}:${source.name}`).join(', '));
+    return sources;
+}
+
+// Interleave several lists so no single source dominates the top of the feed
+function interleave(lists) {
+    const merged = [];
+    const longest = Math.max(0, ...lists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+        for (const list of lists) {
+            if (i < list.length) merged.push(list[i]);
+        }
+    }
+    return merged;
+}
+
+// Fetch articles from every source that serves this request and merge them.
+// A failing source is logged and skipped; the request only fails when all of
+// them do. `filters` come from parseNewsFilters.
+export async function fetchArticles(sources, { query, category, filters = null }) {
+    const language = filters?.language || DEFAULT_NEWS_FILTERS.language;
+    const applicable = sources.filter(source =>
+        (!source.categories || (category && source.categories.includes(category)))
+        && (!source.language || source.language === language)
+    );
+
+    const settled = await Promise.allSettled(
+        applicable.map(source => source.fetchArticles({ query, category, filters }))
+    );
+
+    const lists = [];
+    const errors = [];
+    settled.forEach((result, index) => {
+        const source = applicable[index];
+        if (result.status === 'fulfilled') {
+            console.log(`Source ${source.name} returned ${result.value.length} articles`);
+            lists.push(result.value);
+        } else {
+            console.error(`Source ${source.name} failed:`, result.reason.message);
+            errors.push(result.reason);
+        }
+    });
+
+    if (lists.length === 0 && errors.length > 0) {
+        throw errors[0];
+    }
+
+    // The same story can appear in more than one feed
+    const seen = new Set();
+    const merged = interleave(lists).filter(article => {
+        if (seen.has(article.url)) return false;
+        seen.add(article.url);
+        return true;
+    });
+    return filters ? applyNewsFilters(merged, filters) : merged;
+}
@@ -0,0 +1,59 @@
+import fetch from 'node-fetch';
+import { normalizeArticle } from './normalize.js';
+import { parseNewsFilters } from './filters.js';
+
+const NEWS_API_BASE_URL = 'https://newsapi.org/v2';
+const DEFAULT_FILTERS = parseNewsFilters({}).filters;
+
+// NewsAPI source: top headlines for the "top" feed, everything else goes
+// through the /everything search endpoint
+export function createNewsApiSource({ apiKey, name = 'NewsAPI' }) {
+    return {
+        type: 'newsapi',
+        name,
+
+        async fetchArticles({ query, filters = DEFAULT_FILTERS }) {
+            let url;
+            if (query === 'top' && !filters.sources.length) {
+                // Top headlines can't filter by date, domain or sort order;
+                // those filters are applied after the articles are merged.
+                // They are US English only, so /api/news turns away requests
+                // for other languages without a query.
+                url = `${NEWS_API_BASE_URL}/top-headlines?country=us&apiKey=${apiKey}&pageSize=100`;
+            } else {
+                // For categories and search, use the everything endpoint with proper query formatting
+                const params = new URLSearchParams({
+                    apiKey,
+                    language: filters.language,
+                    sortBy: filters.sortBy,
+                    pageSize: '100'
+                });
+                if (query !== 'top') {
+                    params.set('q', query.includes('OR') ? `(${query})` : query);
+                }
+                if (filters.from) params.set('from', filters.from);
+                if (filters.to) params.set('to', filters.to);
+                if (filters.sources.length) params.set('sources', filters.sources.join(','));
+                if (filters.excludeDomains.length) params.set('excludeDomains', filters.excludeDomains.join(','));
+                url = `${NEWS_API_BASE_URL}/everything?${params}`;
+            }
+
+            console.log('Making request to News API:', url.replace(apiKey, '***'));
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                console.error('News API error response:', response.status, response.statusText);
+                throw new Error(`News API error: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (data.status !== 'ok') {
+                console.error('News API error:', data);
+                throw new Error(data.message || 'Unknown News API error');
+            }
+
+            console.log('Number of articles received from News API:', data.articles?.length || 0);
+            return (data.articles || []).map(article => normalizeArticle(article));
+        }
+    };
+}
@@ -0,0 +1,51 @@
+// Parse a date in any format Date understands, or null if it can't be read
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Whether a value is an absolute http(s) URL. Anything else, such as a
+// javascript: link, must never reach an article's href.
+export function isHttpUrl(value) {
+    try {
+        const url = new URL(String(value));
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+// Normalize an article from any source into the NewsAPI article shape the
+// rest of the app expects
+export function normalizeArticle(raw, defaultSourceName) {
+    return {
+        source: {
+            id: raw.source?.id || null,
+            name: raw.source?.name || raw.sourceName || defaultSourceName || 'Unknown source'
+        },
+        author: raw.author || null,
+        title: (raw.title || '').trim(),
+        description: (raw.description || '').trim(),
+        url: raw.url || null,
+        urlToImage: raw.urlToImage || null,
+        publishedAt: toIsoDate(raw.publishedAt),
+        content: raw.content || null
+    };
+}
+
+// Split a search query into lowercase terms, ignoring boolean operators
+export function queryTerms(query) {
+    return query
+        .toLowerCase()
+        .replace(/[()"]/g, ' ')
+        .split(/\s+/)
+        .filter(term => term && !['and', 'or', 'not'].includes(term));
+}
+
+// Whether an article mentions any of the query terms
+export function matchesQuery(article, terms) {
+    if (!terms.length) return true;
+    const text = `${article.title} ${article.description}`.toLowerCase();
+    return terms.some(term => text.includes(term));
+}
@@ -0,0 +1,127 @@
+import fetch from 'node-fetch';
+import { XMLParser } from 'fast-xml-parser';
+import { normalizeArticle, queryTerms, matchesQuery, isHttpUrl } from './normalize.js';
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    textNodeName: '#text',
+    // Keep titles like "1984" or "E1" as text
+    parseTagValue: false
+});
+
+// Always treat a possibly-single XML node as a list
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Text content of a node that may carry attributes
+function text(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return String(value['#text'] ?? '');
+    return String(value);
+}
+
+// Decode the common entities found in feed descriptions, then strip markup.
+// Decoding first means escaped markup is stripped too; &amp; goes last so
+// "&amp;lt;" decodes once, to "&lt;".
+function stripHtml(html) {
+    return html
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Find an image URL in the media extensions feeds commonly use
+function findImage(item) {
+    const candidates = [
+        ...asArray(item['media:content']),
+        ...asArray(item['media:thumbnail']),
+        ...asArray(item['media:group']?.['media:content']),
+        ...asArray(item.enclosure).filter(enclosure => enclosure['@_type']?.startsWith('image/'))
+    ];
+    const image = candidates.find(candidate => candidate['@_url']);
+    if (image) return image['@_url'];
+
+    const match = text(item.description || item['content:encoded']).match(/<img[^>]+src="([^"]+)"/i);
+    return match ? match[1] : null;
+}
+
+// Convert an RSS 2.0 <item>
+function fromRssItem(item, feedTitle) {
+    return {
+        sourceName: feedTitle,
+        author: text(item['dc:creator'] || item.author) || null,
+        title: stripHtml(text(item.title)),
+        description: stripHtml(text(item.description)),
+        url: text(item.link) || text(item.guid),
+        urlToImage: findImage(item),
+        publishedAt: text(item.pubDate || item['dc:date']) || null
+    };
+}
+
+// Convert an Atom <entry>
+function fromAtomEntry(entry, feedTitle) {
+    const links = asArray(entry.link);
+    const link = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+    return {
+        sourceName: feedTitle,
+        author: text(asArray(entry.author)[0]?.name) || null,
+        title: stripHtml(text(entry.title)),
+        description: stripHtml(text(entry.summary || entry.content)),
+        url: link?.['@_href'] || null,
+        urlToImage: findImage(entry),
+        publishedAt: text(entry.published || entry.updated) || null
+    };
+}
+
+// Parse an RSS 2.0 or Atom document into raw articles
+export function parseFeed(xml, fallbackName) {
+    const doc = parser.parse(xml);
+
+    if (doc.rss?.channel) {
+        const channel = doc.rss.channel;
+        const title = fallbackName || stripHtml(text(channel.title));
+        return asArray(channel.item).map(item => fromRssItem(item, title));
+    }
+    if (doc.feed) {
+        const title = fallbackName || stripHtml(text(doc.feed.title));
+        return asArray(doc.feed.entry).map(entry => fromAtomEntry(entry, title));
+    }
+
+    throw new Error('Unrecognized feed format');
+}
+
+// Generic RSS/Atom feed source
+export function createRssSource({ url, name }) {
+    return {
+        type: 'rss',
+        name: name || url,
+
+        async fetchArticles({ query, category }) {
+            console.log('Fetching feed:', url);
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Feed error for ${url}: ${response.status} ${response.statusText}`);
+            }
+
+            // Feeds attached to a category are already on topic; searches
+            // only keep items that mention the search terms
+            const terms = category ? [] : queryTerms(query);
+            return parseFeed(await response.text(), name)
+                .map(item => normalizeArticle(item, name))
+                // Links must be http(s); a javascript: link would run on click
+                .filter(article => isHttpUrl(article.url) && matchesQuery(article, terms));
+        }
+    };
+}
@@ -0,0 +1,198 @@
+import db from './db.js';
+import { getArticleId } from './polls.js';
+
+// Number of hash functions in a MinHash signature. More hashes give a closer
+// similarity estimate at the cost of speed.
+const SIGNATURE_SIZE = 64;
+
+// Words too common to say anything about which story an article covers
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Outlets often append their name to wire headlines, e.g. "... - Reuters"
+const TITLE_SUFFIX = /\s+[-|–—]\s+[^-|–—]{1,40}$/;
+
+// Lowercase words of an article's title and description, without
+// punctuation, stop words or an outlet suffix on the title
+function normalizedWords(article) {
+    const title = (article.title || '').replace(TITLE_SUFFIX, '');
+    return `${title} ${article.description || ''}`
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Overlapping two-word shingles, or single words for very short text
+export function shingles(article) {
+    const words = normalizedWords(article);
+    if (words.length < 2) {
+        return new Set(words);
+    }
+    const result = new Set();
+    for (let i = 0; i < words.length - 1; i++) {
+        result.add(`${words[i]} ${words[i + 1]}`);
+    }
+    return result;
+}
+
+// 32-bit FNV-1a hash of a string
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Murmur3 finalizer, used to derive independent hash functions from one hash
+function mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => mix(index + 1));
+
+// MinHash signature of a set of shingles: the smallest value of each hash
+// function over the set
+export function minHashSignature(shingleSet) {
+    const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingle of shingleSet) {
+        const hash = fnv1a(shingle);
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(hash ^ SEEDS[i]);
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+    return signature;
+}
+
+// Estimated Jaccard similarity of two sets from their signatures
+export function estimateSimilarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / SIGNATURE_SIZE;
+}
+
+// Pick the article that stands for a story: the earliest published, which
+// is usually the original report, then the one with the longest description
+function pickRepresentative(members) {
+    return [...members].sort((a, b) =>
+        (a.publishedAt || '\uffff').localeCompare(b.publishedAt || '\uffff')
+        || (b.description || '').length - (a.description || '').length
+    )[0];
+}
+
+// Group articles about the same story. Articles whose estimated similarity
+// is at least `threshold` end up in the same story, as do articles linked
+// through a chain of similar ones. Returns lists of articles in first-seen
+// order. News responses hold at most a few hundred articles, so every pair
+// is compared.
+export function clusterArticles(articles, { threshold = 0.5 } = {}) {
+    const signatures = articles.map(article => minHashSignature(shingles(article)));
+    const parent = articles.map((_, index) => index);
+    const find = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < articles.length; i++) {
+        for (let j = i + 1; j < articles.length; j++) {
+            if (find(i) !== find(j) && estimateSimilarity(signatures[i], signatures[j]) >= threshold) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    articles.forEach((article, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) {
+            clusters.set(root, []);
+        }
+        clusters.get(root).push(article);
+    });
+    return [...clusters.values()];
+}
+
+// The story an article already belongs to. Articles that got a poll before
+// they were clustered keep it as their own story.
+function knownStoryId(articleId) {
+    return db.data.stories[articleId] || (db.data.polls[articleId] ? articleId : null);
+}
+
+// Give a cluster a story ID and remember it for every member, so polls stay
+// attached to the story as outlets join or drop out of it. A story that
+// already has an ID keeps it; articles already filed under another story
+// are left there so their votes aren't split. Articles that are their own
+// story need no entry.
+function assignStoryId(representative, members) {
+    const memberIds = [representative, ...members].map(article => getArticleId(article.url));
+    const storyId = memberIds.map(knownStoryId).find(Boolean) || memberIds[0];
+
+    let changed = false;
+    for (const articleId of memberIds) {
+        if (articleId !== storyId && !knownStoryId(articleId)) {
+            db.data.stories[articleId] = storyId;
+            changed = true;
+        }
+    }
+    return { storyId, changed };
+}
+
+// Copies of one article, whose URLs differ only in tracking parameters or
+// the like, reduced to the first seen
+function uniqueArticles(members) {
+    const seen = new Set();
+    return members.filter(article => {
+        const articleId = getArticleId(article.url);
+        if (seen.has(articleId)) return false;
+        seen.add(articleId);
+        return true;
+    });
+}
+
+// Collapse articles about the same story into one representative each. Each
+// representative gets a `storyId` and a `coverage` list of the other outlets
+// that reported the story.
+export function groupStories(articles, options) {
+    let changed = false;
+    const stories = clusterArticles(articles, options).map(cluster => {
+        const members = uniqueArticles(cluster);
+        const representative = pickRepresentative(members);
+        const others = members.filter(article => article !== representative);
+        const assigned = assignStoryId(representative, others);
+        changed = changed || assigned.changed;
+
+        return {
+            ...representative,
+            storyId: assigned.storyId,
+            coverage: others.map(article => ({
+                source: article.source,
+                title: article.title,
+                url: article.url,
+                publishedAt: article.publishedAt
+            }))
+        };
+    });
+
+    if (changed) {
+        db.save();
+    }
+    return stories;
+}
@@ -0,0 +1,86 @@
+import { checkString } from './schemaChecks.js';
+
+// Reading levels a summary can be written at
+export const SUMMARY_LEVELS = ['basic', 'high-school', 'expert'];
+
+// Expected shape of a generated summary
+export const SUMMARY_SCHEMA = {
+    summary: { type: 'string', minLength: 20, maxLength: 3000 },
+    deeperDive: { type: 'string', minLength: 0, maxLength: 3000 },
+    keyTerms: {
+        type: 'array',
+        minItems: 0,
+        maxItems: 8,
+        item: {
+            term: { minLength: 1, maxLength: 80 },
+            definition: { minLength: 1, maxLength: 400 }
+        }
+    }
+};
+
+// Validate parsed summary content against SUMMARY_SCHEMA.
+// Returns a list of problems; an empty list means the content is valid.
+export function validateSummary(content) {
+    const errors = [];
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        return ['response must be a JSON object'];
+    }
+
+    checkString(content.summary, SUMMARY_SCHEMA.summary, 'summary', errors);
+    // The deeper dive is optional
+    if (content.deeperDive != null) {
+        checkString(content.deeperDive, SUMMARY_SCHEMA.deeperDive, 'deeperDive', errors);
+    }
+
+    const { keyTerms } = content;
+    const rule = SUMMARY_SCHEMA.keyTerms;
+    if (!Array.isArray(keyTerms)) {
+        errors.push('keyTerms must be an array');
+    } else {
+        if (keyTerms.length > rule.maxItems) {
+            errors.push(`keyTerms must contain at most ${rule.maxItems} items`);
+        }
+        keyTerms.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`keyTerms[${index}] must be an object with "term" and "definition"`);
+                return;
+            }
+            checkString(entry.term, rule.item.term, `keyTerms[${index}].term`, errors);
+            checkString(entry.definition, rule.item.definition, `keyTerms[${index}].definition`, errors);
+        });
+    }
+
+    return errors;
+}
+
+// Parse a model response into a summary, throwing if it is invalid
+export function parseSummary(text) {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        throw new Error('Response is not valid JSON');
+    }
+
+    const errors = validateSummary(content);
+    if (errors.length) {
+        throw new Error(`Response does not match the summary schema: ${errors.join('; ')}`);
+    }
+
+    // Drop repeated terms, keeping the first definition
+    const seen = new Set();
+    const keyTerms = content.keyTerms
+        .map(entry => ({ term: entry.term.trim(), definition: entry.definition.trim() }))
+        .filter(entry => {
+            const key = entry.term.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+    return {
+        summary: content.summary.trim(),
+        deeperDive: (content.deeperDive || '').trim(),
+        keyTerms
+    };
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import db from './db.js';
+
+// Limits on the keyword topics a user can follow
+export const TOPIC_LIMITS = {
+    topicsPerUser: 10,
+    nameLength: 40,
+    keywords: 5,
+    keywordLength: 40
+};
+
+// Split keywords given as a list or as one comma-separated string
+function keywordList(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords ?? '').split(',');
+    return list
+        .map(keyword => (typeof keyword === 'string' ? keyword.trim().replace(/\s+/g, ' ') : ''))
+        .filter(Boolean);
+}
+
+// Check a topic from a request body. Returns an error message or null.
+export function validateTopic({ name, keywords } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Topic name is required';
+    }
+    if (name.trim().length > TOPIC_LIMITS.nameLength) {
+        return `Topic name must be at most ${TOPIC_LIMITS.nameLength} characters`;
+    }
+    const list = keywordList(keywords);
+    if (list.length === 0 || list.length > TOPIC_LIMITS.keywords) {
+        return `Topics need between 1 and ${TOPIC_LIMITS.keywords} keywords`;
+    }
+    if (list.some(keyword => keyword.length > TOPIC_LIMITS.keywordLength || /[()"]/.test(keyword))) {
+        return `Keywords must be at most ${TOPIC_LIMITS.keywordLength} characters, without quotes or brackets`;
+    }
+    return null;
+}
+
+// News search query for a topic: any of its keywords
+export function topicQuery(topic) {
+    return topic.keywords.join(' OR ');
+}
+
+export function getTopic(topicId) {
+    return db.data.topics[topicId] || null;
+}
+
+// Topics a user follows, oldest first
+export function getUserTopics(userId) {
+    if (!userId) return [];
+    return Object.values(db.data.topics)
+        .filter(topic => topic.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Follow a keyword topic. Returns null when the user already follows a topic
+// with that name or has reached the limit; check with validateTopic first.
+export function followTopic(userId, { name, keywords }) {
+    const topics = getUserTopics(userId);
+    const topicName = name.trim();
+    if (topics.length >= TOPIC_LIMITS.topicsPerUser
+        || topics.some(topic => topic.name.toLowerCase() === topicName.toLowerCase())) {
+        return null;
+    }
+
+    const topic = {
+        id: crypto.randomBytes(8).toString('hex'),
+        userId,
+        name: topicName,
+        keywords: keywordList(keywords),
+        createdAt: new Date().toISOString()
+    };
+    db.data.topics[topic.id] = topic;
+    db.save();
+    return topic;
+}
+
+// Stop following a topic. Returns false if the user doesn't follow it.
+export function unfollowTopic(userId, topicId) {
+    const topic = getTopic(topicId);
+    if (!topic || topic.userId !== userId) {
+        return false;
+    }
+    delete db.data.topics[topicId];
+    db.save();
+    return true;
+}
+
+// Public fields of a topic
+export function formatTopic(topic) {
+    return {
+        id: topic.id,
+        name: topic.name,
+        keywords: topic.keywords
+    };
+}
+
+// Move followed topics from one user to another, dropping topics the target
+// already follows under the same name (see transferVotes)
+export function transferTopics(fromUserId, toUserId) {
+    const followed = new Set(getUserTopics(toUserId).map(topic => topic.name.toLowerCase()));
+    for (const topic of getUserTopics(fromUserId)) {
+        if (followed.has(topic.name.toLowerCase())) {
+            delete db.data.topics[topic.id];
+        } else {
+            topic.userId = toUserId;
+        }
+    }
+    db.save();
+}
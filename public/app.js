@@ -24,7 +24,8 @@ const API_BASE_URL = (() => {
 // Common fetch options for CORS
 const fetchOptions = {
     mode: 'cors',
-    credentials: 'omit',
+    // Send the session cookie so votes are tied to this reader
+    credentials: 'include',
     headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
@@ -36,61 +37,215 @@ const fetchOptions = {
 console.log('Current origin:', window.location.origin);
 console.log('Using API URL:', API_BASE_URL);
 
-// News categories and their corresponding API queries
-const newsCategories = {
-    politics: {
-        name: 'Politics',
-        query: 'politics OR government OR election OR congress OR senate OR white house OR president',
-        description: 'Latest political news and government updates'
-    },
-    technology: {
-        name: 'Technology',
-        query: 'technology OR tech OR innovation OR AI OR artificial intelligence OR software OR hardware OR digital',
-        description: 'Tech news, innovations, and digital trends'
-    },
-    business: {
-        name: 'Business',
-        query: 'business OR economy OR market OR finance OR stock market OR economy OR trade OR commerce',
-        description: 'Business news, market updates, and economic trends'
-    },
-    science: {
-        name: 'Science',
-        query: 'science OR research OR discovery OR scientific OR study OR experiment OR laboratory',
-        description: 'Scientific discoveries and research updates'
-    },
-    health: {
-        name: 'Health',
-        query: 'health OR medical OR healthcare OR medicine OR disease OR treatment OR wellness',
-        description: 'Health news and medical updates'
-    },
-    entertainment: {
-        name: 'Entertainment',
-        query: 'entertainment OR movies OR music OR film OR television OR celebrity OR show business',
-        description: 'Entertainment news and cultural updates'
-    },
-    sports: {
-        name: 'Sports',
-        query: '(sports OR athletics OR competition OR game OR tournament OR championship OR player) AND (NBA OR NFL OR MLB OR NHL OR soccer OR football OR basketball OR baseball OR hockey OR tennis OR golf OR Olympics) NOT (video game OR gaming OR esports)',
-        description: 'Sports news and athletic updates'
+// Escape text from the server (such as AI-generated analysis) for use in HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// An escaped http(s) link for an href, or '#' for anything else, such as a
+// javascript: URL
+function safeHref(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? escapeHtml(parsed.href) : '#';
+    } catch {
+        return '#';
+    }
+}
+
+// News categories from the server's registry, keyed by ID (see
+// loadCategories)
+let newsCategories = {};
+// Keyword topics the reader follows, keyed by "topic-<id>" so their buttons
+// work like category buttons
+let followedTopics = {};
+
+// Poll feeds shown as tabs next to the categories. They list polls ranked by
+// voting activity instead of news order.
+const pollFeeds = {
+    trending: {
+        name: 'Trending',
+        emptyMessage: 'No polls are getting votes right now. Check back soon.'
     },
-    environment: {
-        name: 'Environment',
-        query: 'environment OR climate OR sustainability OR nature OR conservation OR pollution OR global warming',
-        description: 'Environmental news and climate updates'
+    divisive: {
+        name: 'Most Divisive',
+        emptyMessage: 'No polls have enough votes to be called divisive yet.'
+    }
+};
+
+// Load a poll feed and show its articles with the usual cards
+async function getPollFeed(feed) {
+    const feedInfo = pollFeeds[feed];
+    if (!feedInfo) {
+        throw new Error('Invalid feed');
+    }
+
+    try {
+        showLoading();
+        const url = `${API_BASE_URL}/polls/${feed}`;
+        console.log('Fetching poll feed from:', url);
+
+        const response = await fetch(url, fetchOptions);
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        console.log('Poll feed received:', data);
+
+        if (data.status === 'ok' && data.articles) {
+            articles = data.articles;
+            activeCategory = feed;
+            newsParams = null;
+            nextCursor = null;
+            currentIndex = 0;
+            // Feed articles already carry their polls
+            articles.forEach(article => pollCache.set(article.url, article.poll));
+            if (articles.length === 0) {
+                articlesContainer.innerHTML = `
+                    <div class="error-message">
+                        <h2>Nothing here yet</h2>
+                        <p>${feedInfo.emptyMessage}</p>
+                        <button onclick="fetchNews()" class="retry-button">Show All News</button>
+                    </div>
+                `;
+            } else {
+                await displayArticles();
+            }
+        } else {
+            throw new Error('Invalid response from API');
+        }
+    } catch (error) {
+        console.error('Error fetching poll feed:', error);
+        articlesContainer.innerHTML = `
+            <div class="error-message">
+                <h2>Error loading polls</h2>
+                <p>${escapeHtml(error.message)}</p>
+                <button onclick="fetchNews()" class="retry-button">Show All News</button>
+            </div>
+        `;
+    } finally {
+        hideLoading();
     }
+}
+
+// Search filters /api/news accepts and their defaults. Filters left at
+// their defaults are kept out of URLs.
+const SEARCH_FILTER_DEFAULTS = {
+    from: '',
+    to: '',
+    sources: '',
+    excludeDomains: '',
+    sortBy: 'relevancy',
+    language: 'en'
 };
 
-// Function to get news for a specific category
+// Query string for a search: the search term plus the filters that aren't at
+// their defaults
+function searchQueryString(term, filters) {
+    const params = new URLSearchParams();
+    if (term) {
+        params.set('q', term);
+    }
+    for (const [key, value] of Object.entries(filters)) {
+        if (value && value !== SEARCH_FILTER_DEFAULTS[key]) {
+            params.set(key, value);
+        }
+    }
+    return params.toString();
+}
+
+// Filters currently set in the filter panel
+function readSearchFilters() {
+    const form = document.getElementById('filter-panel');
+    return Object.fromEntries(
+        Object.keys(SEARCH_FILTER_DEFAULTS).map(key => [key, form.elements[key].value.trim()])
+    );
+}
+
+// Show how many filters are set on the Filters button
+function updateFilterCount() {
+    const filters = readSearchFilters();
+    const count = Object.keys(filters).filter(key => filters[key] && filters[key] !== SEARCH_FILTER_DEFAULTS[key]).length;
+    document.querySelector('.filter-toggle').textContent = count ? `Filters (${count})` : 'Filters';
+}
+
+// Fill the search bar and filter panel from the page URL so a shared search
+// opens as it was. Returns whether the URL held a search.
+function restoreSearchFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const form = document.getElementById('filter-panel');
+    let found = false;
+    for (const key of Object.keys(SEARCH_FILTER_DEFAULTS)) {
+        if (params.has(key)) {
+            form.elements[key].value = params.get(key);
+            found = true;
+        }
+    }
+    if (params.has('q')) {
+        document.querySelector('.search-bar').value = params.get('q');
+        found = true;
+    }
+    updateFilterCount();
+    return found;
+}
+
+// Load the categories and the reader's followed topics, then show a button
+// for each. The menu keeps only All News and the poll feeds if this fails.
+async function loadCategories() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/categories`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        newsCategories = Object.fromEntries(data.categories.map(category => [category.id, category]));
+        followedTopics = Object.fromEntries(data.topics.map(topic => [`topic-${topic.id}`, topic]));
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+    renderCategoryButtons();
+}
+
+// Category and topic buttons after the fixed All News and poll feed tabs
+function renderCategoryButtons() {
+    const menu = document.querySelector('.category-menu');
+    const active = menu.querySelector('.category-btn.active')?.dataset.category;
+    menu.querySelectorAll('.registry-btn').forEach(button => button.remove());
+
+    const buttons = [
+        ...Object.entries(newsCategories).map(([key, info]) =>
+            `<button class="category-btn registry-btn" data-category="${key}" title="${escapeHtml(info.description)}">${escapeHtml(info.name)}</button>`),
+        ...Object.entries(followedTopics).map(([key, topic]) =>
+            `<button class="category-btn registry-btn topic-btn" data-category="${key}" title="${escapeHtml(topic.keywords.join(', '))}">${escapeHtml(topic.name)}</button>`),
+        '<button class="category-btn registry-btn add-topic-btn" title="Follow a topic">+ Topic</button>'
+    ];
+    menu.insertAdjacentHTML('beforeend', buttons.join(''));
+    menu.querySelectorAll('.category-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.category === active);
+    });
+}
+
+// Function to get news for a specific category or followed topic
 async function getNewsByCategory(category) {
-    const categoryInfo = newsCategories[category];
+    const categoryInfo = newsCategories[category] || followedTopics[category];
     if (!categoryInfo) {
         throw new Error('Invalid category');
     }
 
     try {
         showLoading();
-        // Use the category's specific query
-        const url = `${API_BASE_URL}/news?q=${encodeURIComponent(categoryInfo.query)}`;
+        // The server owns the queries behind categories and topics
+        const params = followedTopics[category]
+            ? `topic=${encodeURIComponent(categoryInfo.id)}`
+            : `category=${encodeURIComponent(category)}`;
+        const url = `${API_BASE_URL}/news?${params}`;
         console.log('Fetching category news from:', url);
         
         const response = await fetch(url, fetchOptions);
@@ -106,12 +261,15 @@ async function getNewsByCategory(category) {
         
         if (data.status === 'ok' && data.articles) {
             articles = data.articles;
+            activeCategory = category;
+            newsParams = params;
+            nextCursor = data.nextCursor || null;
             currentIndex = 0;
             if (articles.length === 0) {
                 articlesContainer.innerHTML = `
                     <div class="error-message">
                         <h2>No articles found</h2>
-                        <p>No articles found in the ${categoryInfo.name} category. Try another category or check back later.</p>
+                        <p>No articles found in ${escapeHtml(categoryInfo.name)}. Try another category or check back later.</p>
                         <button onclick="fetchNews()" class="retry-button">Show All News</button>
                     </div>
                 `;
@@ -145,6 +303,32 @@ const modalContent = document.getElementById('modal-content');
 let currentIndex = 0;
 let articles = [];
 let isTransitioning = false;
+let currentPoll = null;
+// Category of the loaded articles, used for placeholder images
+let activeCategory = 'all';
+
+// Widths offered to the browser in the article image srcset
+const IMAGE_WIDTHS = [480, 800, 1200];
+
+// Polls already loaded this session, keyed by article URL
+const pollCache = new Map();
+// Poll requests in flight, keyed by article URL, so a prefetch and the card
+// share one request
+const pendingPollRequests = new Map();
+
+// Query string of the news list being shown, the cursor for its next page
+// and the page request in flight. Poll feeds aren't paged.
+let newsParams = null;
+let nextCursor = null;
+let pendingPage = null;
+// Fetch the next page when the reader is this many articles from the end
+const PREFETCH_REMAINING = 3;
+
+// How long poll results stay on screen before moving to the next article
+const RESULTS_DISPLAY_MS = 2500;
+
+// Live results connection for the poll card on screen
+let resultsStream = null;
 
 // Show loading animation
 function showLoading() {
@@ -200,6 +384,9 @@ async function fetchNews() {
         if (data.status === 'ok' && data.articles && data.articles.length > 0) {
             console.log('Total articles received:', data.articles.length);
             articles = data.articles.filter(article => article.urlToImage);
+            activeCategory = 'all';
+            newsParams = 'q=top';
+            nextCursor = data.nextCursor || null;
             console.log('Articles with images:', articles.length);
             
             if (articles.length === 0) {
@@ -226,14 +413,26 @@ async function fetchNews() {
     }
 }
 
-// Generate poll content using OpenAI
+// Default poll shown when the server can't provide one
+const DEFAULT_POLL = {
+    type: 'single',
+    question: "What's your take on this news?",
+    options: [
+        "Agree",
+        "Neutral",
+        "Disagree"
+    ]
+};
+
+// Get the poll for an article from the server
 async function generatePollContent(article) {
     try {
         console.log('Generating poll content for:', article.title);
         const response = await fetch(`${API_BASE_URL}/generate-content`, {
             ...fetchOptions,
             method: 'POST',
-            body: JSON.stringify({ article })
+            // Poll feeds aren't categories, so polls opened from them aren't tagged
+            body: JSON.stringify({ article, category: newsCategories[activeCategory] ? activeCategory : null })
         });
 
         if (!response.ok) {
@@ -245,54 +444,22 @@ async function generatePollContent(article) {
         const data = await response.json();
         console.log('Received poll content:', data);
         
-        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+        if (!data.question || !Array.isArray(data.options) || data.options.length === 0) {
             console.error('Invalid response format:', data);
             throw new Error('Invalid response format from server');
         }
 
-        const content = data.choices[0].message.content;
-        console.log('Parsing content:', content);
-        
-        // Parse the response to extract question and answers
-        const lines = content.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            // Remove any remaining prefixes
-            .map(line => line.replace(/^(poll question|question|q|option|answer|choice|a|o)[:.]?\s*/i, ''))
-            // Remove any numbering
-            .map(line => line.replace(/^\d+[.)]\s*/, ''))
-            // Remove any dashes
-            .map(line => line.replace(/^-\s*/, ''));
-
-        console.log('Parsed lines:', lines);
-
-        const question = lines[0];
-        const answers = lines.slice(1);
-
-        if (!question || answers.length !== 3) {
-            console.error('Invalid poll format:', { question, answers });
-            return {
-                question: "What's your take on this news?",
-                answers: [
-                    "Agree",
-                    "Neutral",
-                    "Disagree"
-                ]
-            };
-        }
-
-        return { question, answers };
+        return {
+            pollId: data.pollId,
+            type: data.type || 'single',
+            question: data.question,
+            options: data.options,
+            userVote: data.userVote || null
+        };
     } catch (error) {
         console.error('Error generating poll content:', error);
         // Return default poll content on error
-        return {
-            question: "What's your take on this news?",
-            answers: [
-                "Agree",
-                "Neutral",
-                "Disagree"
-            ]
-        };
+        return { ...DEFAULT_POLL };
     }
 }
 
@@ -315,11 +482,60 @@ async function displayArticles() {
     updateNavigation();
 }
 
+// Details the server uses to draw an article's fallback image
+function fallbackImageParams(article) {
+    return {
+        source: article.source?.name || '',
+        category: article.category || activeCategory,
+        title: article.title || ''
+    };
+}
+
+// Generated fallback image for an article whose own image can't be shown
+function fallbackImageUrl(article) {
+    return `${API_BASE_URL}/fallback-image?${new URLSearchParams(fallbackImageParams(article))}`;
+}
+
+// Proxied, resized image URL for an article. Articles without an image get
+// the generated fallback image from the same endpoint.
+function proxiedImageUrl(article, width) {
+    const params = new URLSearchParams({ w: width, ...fallbackImageParams(article) });
+    if (article.urlToImage) {
+        params.set('url', article.urlToImage);
+    }
+    return `${API_BASE_URL}/proxy-image?${params}`;
+}
+
+// Badge explaining why an article is in the open poll feed
+function feedStat(article) {
+    if (activeCategory === 'trending') {
+        return `<span class="feed-stat">${article.totalVotes} ${article.totalVotes === 1 ? 'vote' : 'votes'}</span>`;
+    }
+    if (activeCategory === 'divisive') {
+        return `<span class="feed-stat">${Math.round(article.score * 100)}% split</span>`;
+    }
+    return '';
+}
+
+// Other outlets that reported the same story, linked to their versions
+function storyCoverage(article) {
+    if (!article.coverage?.length) return '';
+    return `
+        <p class="story-coverage">
+            Also covered by
+            ${article.coverage.map(item => `<a href="${safeHref(item.url)}" target="_blank" rel="noopener">${escapeHtml(item.source.name)}</a>`).join(', ')}
+        </p>
+    `;
+}
+
 // Display the current article
 async function displayCurrentArticle() {
     if (currentIndex < 0 || currentIndex >= articles.length) return;
     
     const article = articles[currentIndex];
+    currentPoll = null;
+    // Stop live updates for the poll the reader is leaving
+    unsubscribeFromResults();
     console.log(`Displaying article ${currentIndex + 1} of ${articles.length}`);
     
     // Create the article element
@@ -329,15 +545,21 @@ async function displayCurrentArticle() {
     // Create the card structure
     articleElement.innerHTML = `
         <div class="article-image-container">
-            <img src="${article.urlToImage ? `${API_BASE_URL}/proxy-image?url=${encodeURIComponent(article.urlToImage)}` : 'fallback.svg'}" 
-                 alt="${article.title}" 
+            <img src="${proxiedImageUrl(article, 800)}"
+                 srcset="${IMAGE_WIDTHS.map(width => `${proxiedImageUrl(article, width)} ${width}w`).join(', ')}"
+                 sizes="(max-width: 900px) 100vw, 900px"
+                 alt="${escapeHtml(article.title)}" 
                  class="article-image" 
-                 onerror="this.onerror=null; this.src='fallback.svg'; this.classList.add('fallback-image');"
+                 onerror="this.onerror=null; this.srcset=''; this.src='${fallbackImageUrl(article)}';"
                  loading="lazy">
         </div>
         <div class="article-content">
-            <h2 class="article-title">${article.title}</h2>
-            <p class="article-summary">${article.description || 'No description available'}</p>
+            <h2 class="article-title">${escapeHtml(article.title)}</h2>
+            <p class="article-summary">${escapeHtml(article.description || 'No description available')}</p>
+            ${storyCoverage(article)}
+            <div class="bias-meter">
+                <p class="bias-meter-loading">Analyzing bias…</p>
+            </div>
             <div class="poll-section">
                 <div class="loading-container">
                     <div class="loading-animation">
@@ -349,9 +571,12 @@ async function displayCurrentArticle() {
                 </div>
             </div>
             <div class="article-meta">
-                <span class="source">${article.source.name}</span>
-                <span class="date">${new Date(article.publishedAt).toLocaleDateString()}</span>
-                <a href="${article.url}" target="_blank" class="read-more">
+                <span class="source">${escapeHtml(article.source.name)}</span>
+                <span class="date">${article.publishedAt ? new Date(article.publishedAt).toLocaleDateString() : ''}</span>
+                ${feedStat(article)}
+                <button class="summary-button share-button" onclick="sharePoll(this)">Share</button>
+                <button class="summary-button" onclick="openArticle(${currentIndex})">Summary</button>
+                <a href="${safeHref(article.url)}" target="_blank" rel="noopener" class="read-more">
                     Read Full Article
                     <span class="read-more-icon">→</span>
                 </a>
@@ -363,140 +588,1513 @@ async function displayCurrentArticle() {
     articlesContainer.innerHTML = '';
     articlesContainer.appendChild(articleElement);
 
-    // Generate poll content using OpenAI
-    const pollContent = await generatePollContent(article);
+    // The bias meter and glossary load alongside the poll
+    loadBiasMeter(articleElement, article);
+    loadGlossaryTerms(articleElement, article);
+
+    const pollContent = await getPollContent(article);
+
+    // Ignore the poll if the reader has already moved to another article
+    if (articles[currentIndex] !== article) return;
+    currentPoll = pollContent;
+
+    // Have the next article's poll ready before the reader gets there
+    const nextArticleToShow = articles[currentIndex + 1];
+    if (nextArticleToShow) {
+        getPollContent(nextArticleToShow);
+    }
     
     // Update the poll section with the generated content
     const pollSection = articleElement.querySelector('.poll-section');
-    if (pollSection) {
-        pollSection.innerHTML = `
-            <h3>${pollContent.question}</h3>
-            <div class="poll-options">
-                ${pollContent.answers.map(option => `
-                    <button class="poll-option" onclick="handleVote('${option}')">
-                        ${option}
-                    </button>
-                `).join('')}
-            </div>
-        `;
+    if (pollSection && pollContent.userVote) {
+        // Readers who already voted see the results instead of the options
+        await showPollResults(pollSection, pollContent);
+    } else if (pollSection) {
+        renderPollForm(pollSection, pollContent);
     }
 }
 
-// Update navigation buttons
-function updateNavigation() {
-    prevButton.disabled = currentIndex <= 0;
-    nextButton.disabled = currentIndex >= articles.length - 1;
-    
-    prevButton.style.opacity = prevButton.disabled ? '0.5' : '1';
-    nextButton.style.opacity = nextButton.disabled ? '0.5' : '1';
+// Share a link to the poll on the current card. The link's page unfurls with
+// a preview of the question and results.
+async function sharePoll(button) {
+    const pollId = currentPoll?.pollId;
+    if (!pollId) {
+        button.textContent = 'Poll loading…';
+        setTimeout(() => { button.textContent = 'Share'; }, 1500);
+        return;
+    }
+
+    // Poll pages are served by the backend. API_BASE_URL is relative on
+    // Heroku, so resolve it against the page to get an absolute link.
+    const url = new URL(`/poll/${encodeURIComponent(pollId)}`, new URL(API_BASE_URL, window.location.href)).href;
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: currentPoll.question, url });
+            return;
+        }
+        await navigator.clipboard.writeText(url);
+        button.textContent = 'Link copied';
+        setTimeout(() => { button.textContent = 'Share'; }, 2000);
+    } catch (error) {
+        // The reader closed the share sheet
+        if (error.name === 'AbortError') return;
+        console.error('Error sharing poll:', error);
+        window.prompt('Copy this link to share the poll:', url);
+    }
 }
 
-// Navigate to next article
-async function nextArticle() {
-    if (isTransitioning || currentIndex >= articles.length - 1) return;
-    
-    isTransitioning = true;
-    currentIndex++;
-    await displayCurrentArticle();
-    updateNavigation();
-    
-    // Add a small delay before allowing next transition
-    setTimeout(() => {
-        isTransitioning = false;
-    }, 300);
+// Open the poll from a shared link, followed by the top news. Falls back to
+// the top news if the poll can't be loaded.
+async function openSharedPoll(pollId) {
+    let article;
+    try {
+        showLoading();
+        const response = await fetch(`${API_BASE_URL}/polls/${encodeURIComponent(pollId)}`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        article = await response.json();
+        console.log('Opening shared poll:', article.poll.pollId);
+
+        articles = [article];
+        activeCategory = 'all';
+        newsParams = 'q=top';
+        nextCursor = null;
+        currentIndex = 0;
+        // The poll rides along with the article
+        pollCache.set(article.url, article.poll);
+        await displayArticles();
+    } catch (error) {
+        console.error('Error opening shared poll:', error);
+        hideLoading();
+        await fetchNews();
+        return;
+    } finally {
+        hideLoading();
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/news?q=top`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        // Skip if the reader has moved on to another list
+        if (articles[0] !== article) return;
+        articles.push(...data.articles.filter(item => item.urlToImage && item.url !== article.url));
+        nextCursor = data.nextCursor || null;
+        updateNavigation();
+    } catch (error) {
+        console.error('Error loading news after shared poll:', error);
+    }
 }
 
-// Navigate to previous article
-async function prevArticle() {
-    if (isTransitioning || currentIndex <= 0) return;
-    
-    isTransitioning = true;
-    currentIndex--;
-    await displayCurrentArticle();
-    updateNavigation();
-    
-    // Add a small delay before allowing next transition
-    setTimeout(() => {
-        isTransitioning = false;
-    }, 300);
+// Get an article's poll, reusing a cached or in-flight request
+function getPollContent(article) {
+    if (pollCache.has(article.url)) {
+        return Promise.resolve(pollCache.get(article.url));
+    }
+    if (!pendingPollRequests.has(article.url)) {
+        const request = generatePollContent(article)
+            .then(pollContent => {
+                if (pollContent.pollId) {
+                    pollCache.set(article.url, pollContent);
+                }
+                return pollContent;
+            })
+            .finally(() => pendingPollRequests.delete(article.url));
+        pendingPollRequests.set(article.url, request);
+    }
+    return pendingPollRequests.get(article.url);
 }
 
-// Handle poll votes
-function handleVote(option) {
-    if (isTransitioning) return;
-    nextArticle();
+// Bias analyses already loaded, keyed by article URL
+const biasCache = new Map();
+
+// Labels for the bias scores shown as bars
+const BIAS_SCORE_LABELS = {
+    loadedLanguage: 'Loaded language',
+    oneSidedness: 'One-sidedness'
+};
+
+// Get the bias analysis for an article from the server
+async function fetchBiasAnalysis(article) {
+    if (biasCache.has(article.url)) {
+        return biasCache.get(article.url);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/analyze/bias`, {
+        ...fetchOptions,
+        method: 'POST',
+        body: JSON.stringify({
+            article: {
+                title: article.title,
+                description: article.description,
+                url: article.url
+            }
+        })
+    });
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const analysis = await response.json();
+    biasCache.set(article.url, analysis);
+    return analysis;
 }
 
-// Open full article in modal
-function openArticle(index) {
-    const article = articles[index];
-    const aiContent = generateAIContent(article);
-    
-    modalContent.innerHTML = `
-        <div class="modal-article">
-            <div class="modal-header">
-                <h2>${article.title}</h2>
+// Load and show the bias meter on an article card. The meter is dropped if
+// the analysis can't be loaded.
+async function loadBiasMeter(articleElement, article) {
+    const meter = articleElement.querySelector('.bias-meter');
+    if (!meter) return;
+
+    try {
+        const analysis = await fetchBiasAnalysis(article);
+        if (meter.isConnected) {
+            renderBiasMeter(meter, analysis);
+        }
+    } catch (error) {
+        console.error('Error loading bias analysis:', error);
+        meter.remove();
+    }
+}
+
+// Quoted phrases behind one bias score
+function biasPhrases(dimension) {
+    if (!dimension.phrases.length) return '';
+    return `
+        <ul class="bias-phrases">
+            ${dimension.phrases.map(phrase => `<li><q>${escapeHtml(phrase)}</q></li>`).join('')}
+        </ul>
+    `;
+}
+
+// Render a bias analysis: a left/right scale, bars for the other scores and
+// the reasoning behind them
+function renderBiasMeter(meter, analysis) {
+    const lean = analysis.lean;
+    const leanLabel = lean.label === 'center' ? 'Center' : `Leans ${lean.label}`;
+
+    meter.innerHTML = `
+        <div class="bias-meter-header">
+            <span class="bias-meter-title">Bias meter</span>
+            <span class="bias-meter-note">AI-generated estimate</span>
+        </div>
+        <div class="bias-lean" title="${escapeHtml(lean.explanation)}">
+            <div class="bias-lean-scale">
+                <div class="bias-lean-marker" style="left: ${(lean.score + 100) / 2}%"></div>
             </div>
-            <div class="modal-body">
-                <div class="modal-summary">
-                    ${aiContent.detailedSummary}
-                </div>
-                <a href="${article.url}" target="_blank" class="read-more">
-                    <span class="read-more-text">Read Original Article</span>
-                    <span class="read-more-icon">→</span>
-                </a>
+            <div class="bias-lean-labels">
+                <span>Left</span>
+                <span>${leanLabel}</span>
+                <span>Right</span>
             </div>
         </div>
+        <div class="bias-scores">
+            ${Object.entries(BIAS_SCORE_LABELS).map(([key, label]) => `
+                <div class="bias-score" title="${escapeHtml(analysis[key].explanation)}">
+                    <span class="bias-score-label">${label}</span>
+                    <div class="bias-score-bar">
+                        <div class="bias-score-fill" style="width: ${analysis[key].score}%"></div>
+                    </div>
+                    <span class="bias-score-value">${analysis[key].score}</span>
+                </div>
+            `).join('')}
+        </div>
+        <details class="bias-details">
+            <summary>Why these scores?</summary>
+            <p>${escapeHtml(analysis.summary)}</p>
+            ${[...Object.entries(BIAS_SCORE_LABELS), ['lean', 'Left/right lean']].map(([key, label]) => `
+                <h4>${label}</h4>
+                <p>${escapeHtml(analysis[key].explanation)}</p>
+                ${biasPhrases(analysis[key])}
+            `).join('')}
+        </details>
     `;
-    articleModal.style.display = 'block';
 }
 
-// Initialize the app
-async function initializeApp() {
-    console.log('Initializing app...');
-    await fetchNews();
+// Glossary annotations already loaded, keyed by article URL
+const glossaryCache = new Map();
+
+// Get the glossary terms in an article's title and description
+async function fetchGlossaryTerms(article) {
+    if (glossaryCache.has(article.url)) {
+        return glossaryCache.get(article.url);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/glossary/annotate`, {
+        ...fetchOptions,
+        method: 'POST',
+        body: JSON.stringify({
+            article: {
+                title: article.title,
+                description: article.description,
+                url: article.url
+            }
+        })
+    });
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const annotations = await response.json();
+    glossaryCache.set(article.url, annotations);
+    return annotations;
 }
 
-// Event listeners
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM Content Loaded');
-    initializeApp();
-    
-    const newsContainer = document.getElementById('news-container');
-    const categoryButtons = document.querySelectorAll('.category-btn');
-    const searchBar = document.querySelector('.search-bar');
-    const searchButton = document.querySelector('.search-button');
-    let currentCategory = 'all';
+// HTML for annotated text, with each glossary term as a tappable button
+function annotatedHtml(annotated) {
+    let html = '';
+    let position = 0;
+    for (const span of annotated.spans) {
+        html += escapeHtml(annotated.text.slice(position, span.start));
+        html += `<button type="button" class="glossary-term" data-term="${escapeHtml(span.termId)}">${escapeHtml(annotated.text.slice(span.start, span.end))}</button>`;
+        position = span.end;
+    }
+    return html + escapeHtml(annotated.text.slice(position));
+}
 
-    // Add event listeners for search
-    searchButton.addEventListener('click', handleSearch);
-    searchBar.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            handleSearch();
+// Mark glossary terms in a card's title and summary. The card is left as it
+// is if the annotations can't be loaded.
+async function loadGlossaryTerms(articleElement, article) {
+    try {
+        const annotations = await fetchGlossaryTerms(article);
+        if (!articleElement.isConnected) return;
+
+        const title = articleElement.querySelector('.article-title');
+        const summary = articleElement.querySelector('.article-summary');
+        if (title && annotations.title.spans.length) {
+            title.innerHTML = annotatedHtml(annotations.title);
+        }
+        if (summary && article.description && annotations.description.spans.length) {
+            summary.innerHTML = annotatedHtml(annotations.description);
         }
-    });
 
-    async function handleSearch() {
-        const searchTerm = searchBar.value.trim();
-        if (searchTerm) {
-            try {
-                showLoading();
-                const url = `${API_BASE_URL}/news?q=${encodeURIComponent(searchTerm)}`;
-                console.log('Searching news from:', url);
-                
-                const response = await fetch(url, {
-                    ...fetchOptions,
-                    headers: {
-                        ...fetchOptions.headers,
-                        'Origin': window.location.origin
-                    }
-                });
-                console.log('Search response status:', response.status);
-                
-                if (!response.ok) {
+        articleElement.querySelectorAll('.glossary-term').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showGlossaryPopover(button, annotations.terms[button.dataset.term]);
+            });
+        });
+    } catch (error) {
+        console.error('Error loading glossary terms:', error);
+    }
+}
+
+// Show a term's definition below it, replacing any open popover
+function showGlossaryPopover(button, entry) {
+    const wasOpen = button.classList.contains('active');
+    closeGlossaryPopover();
+    if (!entry || wasOpen) return;
+
+    const popover = document.createElement('div');
+    popover.className = 'glossary-popover';
+    popover.setAttribute('role', 'dialog');
+    popover.innerHTML = `
+        <strong class="glossary-popover-term">${escapeHtml(entry.term)}</strong>
+        <p>${escapeHtml(entry.definition)}</p>
+        ${entry.source === 'llm' ? '<span class="glossary-popover-note">AI-suggested, reviewed by a moderator</span>' : ''}
+    `;
+    document.body.appendChild(popover);
+
+    // Keep the popover inside the viewport
+    const rect = button.getBoundingClientRect();
+    const left = Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - popover.offsetWidth - 8);
+    popover.style.left = `${Math.max(8, left)}px`;
+    popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    button.classList.add('active');
+}
+
+function closeGlossaryPopover() {
+    document.querySelectorAll('.glossary-popover').forEach(popover => popover.remove());
+    document.querySelectorAll('.glossary-term.active').forEach(term => term.classList.remove('active'));
+}
+
+// Render the voting controls that match the poll's type
+function renderPollForm(pollSection, poll) {
+    switch (poll.type) {
+        case 'multi':
+            pollSection.innerHTML = `
+                <h3>${escapeHtml(poll.question)}</h3>
+                <p class="poll-hint">Select all that apply</p>
+                <div class="poll-options">
+                    ${poll.options.map((option, index) => `
+                        <button class="poll-option" data-index="${index}" aria-pressed="false"
+                                onclick="toggleMultiOption(this)">
+                            ${escapeHtml(option)}
+                        </button>
+                    `).join('')}
+                </div>
+                <button class="poll-submit" onclick="submitMultiVote()" disabled>Submit</button>
+            `;
+            break;
+        case 'ranked':
+            poll.ranking = [...poll.options];
+            renderRankedForm(pollSection, poll);
+            break;
+        case 'likert':
+            pollSection.innerHTML = `
+                <h3>${escapeHtml(poll.question)}</h3>
+                <div class="poll-likert">
+                    <input type="range" class="poll-slider" min="0" max="${poll.options.length - 1}" step="1"
+                           value="${Math.floor(poll.options.length / 2)}"
+                           oninput="this.closest('.poll-likert').querySelector('.poll-likert-value').textContent = currentPoll.options[this.value]">
+                    <div class="poll-likert-labels">
+                        <span>${escapeHtml(poll.options[0])}</span>
+                        <span>${escapeHtml(poll.options[poll.options.length - 1])}</span>
+                    </div>
+                    <p class="poll-likert-value">${escapeHtml(poll.options[Math.floor(poll.options.length / 2)])}</p>
+                </div>
+                <button class="poll-submit" onclick="submitLikertVote()">Submit</button>
+            `;
+            break;
+        default:
+            pollSection.innerHTML = `
+                <h3>${escapeHtml(poll.question)}</h3>
+                <div class="poll-options">
+                    ${poll.options.map((option, index) => `
+                        <button class="poll-option" onclick="handleVote(${index})">
+                            ${escapeHtml(option)}
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+    }
+}
+
+// Ranked polls show the current order with controls to move options
+function renderRankedForm(pollSection, poll) {
+    pollSection.innerHTML = `
+        <h3>${escapeHtml(poll.question)}</h3>
+        <p class="poll-hint">Order the options from most to least preferred</p>
+        <ol class="poll-ranking">
+            ${poll.ranking.map((option, index) => `
+                <li class="poll-ranked-option">
+                    <span class="poll-rank">${index + 1}</span>
+                    <span class="poll-ranked-label">${escapeHtml(option)}</span>
+                    <button class="poll-move" onclick="moveRankedOption(${index}, -1)" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                    <button class="poll-move" onclick="moveRankedOption(${index}, 1)" ${index === poll.ranking.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                </li>
+            `).join('')}
+        </ol>
+        <button class="poll-submit" onclick="submitRankedVote()">Submit ranking</button>
+    `;
+}
+
+function toggleMultiOption(button) {
+    const selected = button.getAttribute('aria-pressed') !== 'true';
+    button.setAttribute('aria-pressed', String(selected));
+    button.classList.toggle('selected', selected);
+
+    const pollSection = button.closest('.poll-section');
+    pollSection.querySelector('.poll-submit').disabled = !pollSection.querySelector('.poll-option.selected');
+}
+
+function submitMultiVote() {
+    if (!currentPoll) return;
+    const pollSection = articlesContainer.querySelector('.poll-section');
+    const options = [...pollSection.querySelectorAll('.poll-option.selected')]
+        .map(button => currentPoll.options[button.dataset.index]);
+    if (options.length) {
+        submitVote({ options });
+    }
+}
+
+function moveRankedOption(index, delta) {
+    if (!currentPoll) return;
+    const ranking = currentPoll.ranking;
+    const target = index + delta;
+    if (target < 0 || target >= ranking.length) return;
+    [ranking[index], ranking[target]] = [ranking[target], ranking[index]];
+    renderRankedForm(articlesContainer.querySelector('.poll-section'), currentPoll);
+}
+
+function submitRankedVote() {
+    if (!currentPoll) return;
+    submitVote({ ranking: [...currentPoll.ranking] });
+}
+
+function submitLikertVote() {
+    if (!currentPoll) return;
+    const slider = articlesContainer.querySelector('.poll-slider');
+    submitVote({ option: currentPoll.options[slider.value] });
+}
+
+// Options a vote counts toward: every pick for multi-select, the first
+// preference for ranked polls
+function chosenOptions(userVote) {
+    if (!userVote) return [];
+    if (userVote.options) return userVote.options;
+    if (userVote.ranking) return userVote.ranking.slice(0, 1);
+    return [userVote.option];
+}
+
+// Extra line under the results for poll types that have one
+function resultsSummary(results) {
+    if (results.type === 'ranked' && results.winner) {
+        const rounds = results.rounds.length;
+        return `Instant-runoff winner: ${results.winner}${rounds > 1 ? ` after ${rounds} rounds` : ''}`;
+    }
+    if (results.type === 'likert' && results.average !== null) {
+        return `Average ${results.average} of 5 · ${results.agreePercentage}% agree`;
+    }
+    return '';
+}
+
+// Fetch and render the current results of a poll the reader already answered
+async function showPollResults(pollSection, poll) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/polls/${encodeURIComponent(poll.pollId)}/results`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const results = await response.json();
+        if (currentPoll === poll) {
+            renderPollResults(pollSection, poll, results, poll.userVote);
+            subscribeToResults(pollSection, poll);
+        }
+    } catch (error) {
+        console.error('Error fetching poll results:', error);
+    }
+}
+
+// Render poll results as a bar chart in the poll section
+function renderPollResults(pollSection, poll, results, userVote) {
+    const counts = new Map(results.results.map(result => [result.option, result]));
+    const selected = chosenOptions(userVote);
+    const summary = resultsSummary(results);
+
+    pollSection.innerHTML = `
+        <h3>${escapeHtml(poll.question)}</h3>
+        <div class="poll-results">
+            ${poll.options.map((option, index) => {
+                const result = counts.get(option) || { count: 0, percentage: 0 };
+                return `
+                    <div class="poll-result ${selected.includes(option) ? 'selected' : ''}" data-index="${index}">
+                        <div class="poll-result-bar" style="width: ${result.percentage}%"></div>
+                        <span class="poll-result-label">${escapeHtml(option)}</span>
+                        <span class="poll-result-value">${result.percentage}%</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        <p class="poll-summary-line"${summary ? '' : ' hidden'}>${escapeHtml(summary)}</p>
+        <p class="poll-total">${formatVoteTotal(results.totalVotes)}</p>
+    `;
+}
+
+function formatVoteTotal(totalVotes) {
+    return `${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'}`;
+}
+
+// Apply new tallies to rendered results in place so the bars animate
+// from their old widths
+function updatePollResults(pollSection, poll, results) {
+    const counts = new Map(results.results.map(result => [result.option, result]));
+
+    poll.options.forEach((option, index) => {
+        const row = pollSection.querySelector(`.poll-result[data-index="${index}"]`);
+        if (!row) return;
+        const result = counts.get(option) || { count: 0, percentage: 0 };
+        const value = row.querySelector('.poll-result-value');
+        if (value.textContent === `${result.percentage}%`) return;
+
+        row.querySelector('.poll-result-bar').style.width = `${result.percentage}%`;
+        value.textContent = `${result.percentage}%`;
+        row.classList.remove('updated');
+        // Force a reflow so the highlight animation restarts
+        void row.offsetWidth;
+        row.classList.add('updated');
+    });
+
+    const summary = resultsSummary(results);
+    const summaryLine = pollSection.querySelector('.poll-summary-line');
+    if (summaryLine) {
+        summaryLine.textContent = summary;
+        summaryLine.hidden = !summary;
+    }
+    const total = pollSection.querySelector('.poll-total');
+    if (total) {
+        total.textContent = formatVoteTotal(results.totalVotes);
+    }
+}
+
+// Listen for live results while a poll's results are on screen
+function subscribeToResults(pollSection, poll) {
+    unsubscribeFromResults();
+    if (!poll.pollId || typeof EventSource === 'undefined') return;
+
+    const url = `${API_BASE_URL}/polls/${encodeURIComponent(poll.pollId)}/stream`;
+    const stream = new EventSource(url, { withCredentials: true });
+    stream.addEventListener('results', event => {
+        if (currentPoll !== poll) return;
+        try {
+            updatePollResults(pollSection, poll, JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error applying live results:', error);
+        }
+    });
+    stream.onerror = () => {
+        console.warn('Live results connection interrupted, retrying');
+    };
+    resultsStream = stream;
+}
+
+// Close the live results connection, if any
+function unsubscribeFromResults() {
+    if (resultsStream) {
+        resultsStream.close();
+        resultsStream = null;
+    }
+}
+
+// Fetch the next page of the news list being shown and add it to the end.
+// Concurrent calls share one request.
+function loadMoreArticles() {
+    if (!nextCursor || !newsParams) return Promise.resolve();
+    if (!pendingPage) {
+        const list = articles;
+        const url = `${API_BASE_URL}/news?${newsParams}&cursor=${encodeURIComponent(nextCursor)}`;
+        console.log('Fetching next page from:', url);
+        pendingPage = fetch(url, fetchOptions)
+            .then(async response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const data = await response.json();
+                // Drop the page if the reader switched to another list meanwhile
+                if (articles !== list) return;
+
+                const seen = new Set(articles.map(article => article.url));
+                const more = data.articles.filter(article => article.urlToImage && !seen.has(article.url));
+                articles.push(...more);
+                nextCursor = data.nextCursor || null;
+                console.log(`Loaded ${more.length} more articles`);
+                updateNavigation();
+            })
+            .catch(error => console.error('Error loading more articles:', error))
+            .finally(() => {
+                pendingPage = null;
+            });
+    }
+    return pendingPage;
+}
+
+// Update navigation buttons
+function updateNavigation() {
+    prevButton.disabled = currentIndex <= 0;
+    nextButton.disabled = currentIndex >= articles.length - 1 && !nextCursor;
+    
+    prevButton.style.opacity = prevButton.disabled ? '0.5' : '1';
+    nextButton.style.opacity = nextButton.disabled ? '0.5' : '1';
+}
+
+// Navigate to next article
+async function nextArticle() {
+    if (isTransitioning) return;
+    isTransitioning = true;
+
+    // At the end of what's loaded, wait for the next page
+    if (currentIndex >= articles.length - 1) {
+        await loadMoreArticles();
+        if (currentIndex >= articles.length - 1) {
+            isTransitioning = false;
+            updateNavigation();
+            return;
+        }
+    }
+
+    currentIndex++;
+    // Start on the next page before the reader reaches the end
+    if (articles.length - 1 - currentIndex < PREFETCH_REMAINING) {
+        loadMoreArticles();
+    }
+    await displayCurrentArticle();
+    updateNavigation();
+    
+    // Add a small delay before allowing next transition
+    setTimeout(() => {
+        isTransitioning = false;
+    }, 300);
+}
+
+// Navigate to previous article
+async function prevArticle() {
+    if (isTransitioning || currentIndex <= 0) return;
+    
+    isTransitioning = true;
+    currentIndex--;
+    await displayCurrentArticle();
+    updateNavigation();
+    
+    // Add a small delay before allowing next transition
+    setTimeout(() => {
+        isTransitioning = false;
+    }, 300);
+}
+
+// Handle single-choice poll votes
+function handleVote(optionIndex) {
+    if (!currentPoll) return;
+    submitVote({ option: currentPoll.options[optionIndex] });
+}
+
+// Send a vote for the current poll, show the results, then move on.
+// The payload matches the poll type: { option }, { options } or { ranking }.
+async function submitVote(payload) {
+    if (isTransitioning || !currentPoll) return;
+
+    const poll = currentPoll;
+    const pollSection = articlesContainer.querySelector('.poll-section');
+    pollSection.querySelectorAll('button, input').forEach(control => {
+        control.disabled = true;
+    });
+
+    try {
+        if (!poll.pollId) {
+            throw new Error('Poll was not registered with the server');
+        }
+
+        const response = await fetch(`${API_BASE_URL}/polls/${encodeURIComponent(poll.pollId)}/votes`, {
+            ...fetchOptions,
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        // 409 means this reader already voted; the body still has the results
+        if (!response.ok && response.status !== 409) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+        }
+
+        const results = await response.json();
+        console.log('Poll results:', results);
+        poll.userVote = results.userVote;
+
+        if (currentPoll === poll) {
+            renderPollResults(pollSection, poll, results, results.userVote);
+            subscribeToResults(pollSection, poll);
+            await new Promise(resolve => setTimeout(resolve, RESULTS_DISPLAY_MS));
+        }
+    } catch (error) {
+        console.error('Error submitting vote:', error);
+    }
+
+    if (currentPoll === poll) {
+        nextArticle();
+    }
+}
+
+// Reading levels offered in the article modal
+const SUMMARY_LEVELS = {
+    basic: 'Basic',
+    'high-school': 'High School',
+    expert: 'Expert'
+};
+
+// Summaries already loaded, keyed by article URL and level
+const summaryCache = new Map();
+let summaryLevel = 'high-school';
+let modalArticle = null;
+
+// Get an article's summary at a reading level from the server
+async function fetchSummary(article, level) {
+    const key = `${article.url}|${level}`;
+    if (summaryCache.has(key)) {
+        return summaryCache.get(key);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/summarize`, {
+        ...fetchOptions,
+        method: 'POST',
+        body: JSON.stringify({
+            article: {
+                title: article.title,
+                description: article.description,
+                url: article.url
+            },
+            level
+        })
+    });
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const summary = await response.json();
+    summaryCache.set(key, summary);
+    return summary;
+}
+
+// Render a summary, its deeper dive and key terms
+function renderSummary(container, summary) {
+    container.innerHTML = `
+        ${summary.summary.split(/\n+/).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}
+        ${summary.deeperDive ? `
+            <details class="summary-deeper-dive">
+                <summary>Deeper dive</summary>
+                <p>${escapeHtml(summary.deeperDive)}</p>
+            </details>
+        ` : ''}
+        ${summary.keyTerms.length ? `
+            <h3 class="summary-terms-title">Key terms</h3>
+            <dl class="summary-terms">
+                ${summary.keyTerms.map(entry => `
+                    <dt>${escapeHtml(entry.term)}</dt>
+                    <dd>${escapeHtml(entry.definition)}</dd>
+                `).join('')}
+            </dl>
+        ` : ''}
+        <p class="summary-note">AI-generated summary based on the article's headline and description.</p>
+    `;
+}
+
+// Show the summary for the open article at a reading level
+async function showSummaryLevel(level) {
+    const article = modalArticle;
+    if (!article) return;
+    summaryLevel = level;
+
+    modalContent.querySelectorAll('.level-toggle button').forEach(button => {
+        const active = button.dataset.level === level;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+
+    const container = modalContent.querySelector('.modal-summary');
+    container.innerHTML = '<p class="summary-note">Writing summary...</p>';
+    try {
+        const summary = await fetchSummary(article, level);
+        // Ignore the response if the reader switched level or article meanwhile
+        if (modalArticle === article && summaryLevel === level) {
+            renderSummary(container, summary);
+        }
+    } catch (error) {
+        console.error('Error loading summary:', error);
+        if (modalArticle === article && summaryLevel === level) {
+            container.innerHTML = `<p class="auth-error">Couldn't load the summary: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
+// Perspective sets already loaded, keyed by article URL
+const perspectivesCache = new Map();
+
+// Get the multi-perspective view of an article from the server
+async function fetchPerspectives(article) {
+    if (perspectivesCache.has(article.url)) {
+        return perspectivesCache.get(article.url);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/perspectives`, {
+        ...fetchOptions,
+        method: 'POST',
+        body: JSON.stringify({
+            article: {
+                title: article.title,
+                description: article.description,
+                url: article.url
+            }
+        })
+    });
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    perspectivesCache.set(article.url, data);
+    return data;
+}
+
+// Render perspectives as slides the reader can swipe through, with tabs
+// for jumping to a viewpoint
+function renderPerspectives(panel, data) {
+    panel.innerHTML = `
+        <div class="perspective-tabs" role="tablist">
+            ${data.perspectives.map((perspective, index) => `
+                <button class="perspective-tab ${index === 0 ? 'active' : ''}" role="tab"
+                        aria-selected="${index === 0}" onclick="showPerspective(${index})">${escapeHtml(perspective.label)}</button>
+            `).join('')}
+        </div>
+        <div class="perspective-track">
+            ${data.perspectives.map(perspective => `
+                <article class="perspective-slide" role="tabpanel">
+                    <span class="perspective-badge">AI-generated</span>
+                    <h4>${escapeHtml(perspective.label)}</h4>
+                    <p>${escapeHtml(perspective.framing)}</p>
+                    <h5>Counterarguments</h5>
+                    <ul>
+                        ${perspective.counterarguments.map(argument => `<li>${escapeHtml(argument)}</li>`).join('')}
+                    </ul>
+                </article>
+            `).join('')}
+        </div>
+        <p class="summary-note">${escapeHtml(data.disclaimer)}</p>
+    `;
+
+    // Keep the tabs in step with swipes
+    const track = panel.querySelector('.perspective-track');
+    track.addEventListener('scroll', () => {
+        const index = Math.round(track.scrollLeft / track.clientWidth);
+        panel.querySelectorAll('.perspective-tab').forEach((tab, tabIndex) => {
+            tab.classList.toggle('active', tabIndex === index);
+            tab.setAttribute('aria-selected', String(tabIndex === index));
+        });
+    }, { passive: true });
+}
+
+// Scroll the perspectives panel to a viewpoint
+function showPerspective(index) {
+    const track = modalContent.querySelector('.perspective-track');
+    if (track) {
+        track.scrollTo({ left: index * track.clientWidth, behavior: 'smooth' });
+    }
+}
+
+// Load the perspectives panel for the open article
+async function loadPerspectives(article) {
+    const panel = modalContent.querySelector('.perspectives-panel');
+    try {
+        const data = await fetchPerspectives(article);
+        if (modalArticle === article) {
+            renderPerspectives(panel, data);
+        }
+    } catch (error) {
+        console.error('Error loading perspectives:', error);
+        if (modalArticle === article) {
+            panel.innerHTML = `<p class="auth-error">Couldn't load perspectives: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
+// The article's poll, shown beside the perspectives so readers can compare
+// views before answering it on the card
+function modalPollBox(article) {
+    const poll = pollCache.get(article.url);
+    if (!poll?.pollId) return '';
+    return `
+        <aside class="modal-poll">
+            <h3>Poll</h3>
+            <p>${escapeHtml(poll.question)}</p>
+            ${poll.userVote
+                ? '<p class="summary-note">You have answered this poll.</p>'
+                : '<button class="summary-button" onclick="closeArticle()">Answer on the card</button>'}
+        </aside>
+    `;
+}
+
+// Quizzes already loaded, keyed by article URL
+const quizCache = new Map();
+
+// Get the comprehension quiz for an article (questions only, no answers)
+async function fetchQuiz(article) {
+    if (quizCache.has(article.url)) {
+        return quizCache.get(article.url);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/quizzes`, {
+        ...fetchOptions,
+        method: 'POST',
+        body: JSON.stringify({
+            article: {
+                title: article.title,
+                description: article.description,
+                url: article.url
+            }
+        })
+    });
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const quiz = await response.json();
+    quizCache.set(article.url, quiz);
+    return quiz;
+}
+
+// Load the quiz section for the open article
+async function loadQuiz(article) {
+    const section = modalContent.querySelector('.quiz-section');
+    try {
+        const quiz = await fetchQuiz(article);
+        if (modalArticle !== article) return;
+        if (quiz.attempt) {
+            renderQuizResults(section, quiz.attempt, []);
+        } else {
+            renderQuizForm(section, quiz);
+        }
+    } catch (error) {
+        console.error('Error loading quiz:', error);
+        if (modalArticle === article) {
+            section.innerHTML = `<p class="auth-error">Couldn't load the quiz: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
+// Render unanswered quiz questions
+function renderQuizForm(section, quiz) {
+    section.innerHTML = `
+        <form class="quiz-form" onsubmit="submitQuiz(event)">
+            ${quiz.questions.map((item, questionIndex) => `
+                <fieldset class="quiz-question">
+                    <legend>${questionIndex + 1}. ${escapeHtml(item.question)}</legend>
+                    ${item.options.map((option, optionIndex) => `
+                        <label class="quiz-option">
+                            <input type="radio" name="question-${questionIndex}" value="${optionIndex}" required>
+                            <span>${escapeHtml(option)}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `).join('')}
+            <button type="submit" class="summary-button">Check answers</button>
+        </form>
+    `;
+}
+
+// Render a marked quiz attempt, with any badges it just earned
+function renderQuizResults(section, attempt, newBadges) {
+    section.innerHTML = `
+        <p class="quiz-score">You got ${attempt.correct} of ${attempt.total} right</p>
+        ${newBadges.map(badge => `
+            <p class="quiz-badge">${badge.icon || '🏅'} New badge: <strong>${escapeHtml(badge.name)}</strong></p>
+        `).join('')}
+        ${attempt.results.map((result, index) => `
+            <div class="quiz-result ${result.correct ? 'correct' : 'incorrect'}">
+                <p class="quiz-result-question">${index + 1}. ${escapeHtml(result.question)}</p>
+                <p>${result.correct ? '✓' : '✗'} ${escapeHtml(result.options[result.chosenIndex])}</p>
+                ${result.correct ? '' : `<p>Correct answer: ${escapeHtml(result.options[result.correctIndex])}</p>`}
+                <p class="summary-note">${escapeHtml(result.explanation)}</p>
+            </div>
+        `).join('')}
+    `;
+}
+
+// Send quiz answers and show how the reader did
+async function submitQuiz(event) {
+    event.preventDefault();
+    const article = modalArticle;
+    const quiz = quizCache.get(article?.url);
+    if (!quiz) return;
+
+    const form = event.target;
+    const answers = quiz.questions.map((_, index) => Number(form.elements[`question-${index}`].value));
+    const section = modalContent.querySelector('.quiz-section');
+    form.querySelector('button[type="submit"]').disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/quizzes/${encodeURIComponent(quiz.quizId)}/answers`, {
+            ...fetchOptions,
+            method: 'POST',
+            body: JSON.stringify({ answers })
+        });
+        // 409 means this reader already answered; the body has their attempt
+        if (!response.ok && response.status !== 409) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+        }
+
+        const attempt = await response.json();
+        quiz.attempt = attempt;
+        if (modalArticle === article) {
+            renderQuizResults(section, attempt, attempt.newBadges || []);
+        }
+    } catch (error) {
+        console.error('Error submitting quiz:', error);
+        form.querySelector('button[type="submit"]').disabled = false;
+        section.insertAdjacentHTML('beforeend', `<p class="auth-error">${escapeHtml(error.message)}</p>`);
+    }
+}
+
+// Open an article's summary in the modal
+function openArticle(index) {
+    const article = articles[index];
+    if (!article) return;
+    modalArticle = article;
+
+    modalContent.innerHTML = `
+        <div class="modal-article">
+            <div class="modal-header">
+                <h2>${escapeHtml(article.title)}</h2>
+                <button class="close-modal" onclick="closeArticle()" aria-label="Close">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="level-toggle" role="group" aria-label="Reading level">
+                    ${Object.entries(SUMMARY_LEVELS).map(([level, name]) => `
+                        <button class="category-btn" data-level="${level}" aria-pressed="false"
+                                onclick="showSummaryLevel('${level}')">${name}</button>
+                    `).join('')}
+                </div>
+                <div class="modal-summary"></div>
+                <div class="modal-columns">
+                    <section class="perspectives">
+                        <h3>Perspectives</h3>
+                        <div class="perspectives-panel">
+                            <p class="summary-note">Gathering perspectives...</p>
+                        </div>
+                    </section>
+                    ${modalPollBox(article)}
+                </div>
+                <section class="quiz">
+                    <h3>Check your understanding</h3>
+                    <div class="quiz-section">
+                        <p class="summary-note">Writing questions...</p>
+                    </div>
+                </section>
+                <a href="${safeHref(article.url)}" target="_blank" rel="noopener" class="read-more">
+                    <span class="read-more-text">Read Original Article</span>
+                    <span class="read-more-icon">→</span>
+                </a>
+            </div>
+        </div>
+    `;
+    articleModal.style.display = 'block';
+    showSummaryLevel(summaryLevel);
+    loadPerspectives(article);
+    loadQuiz(article);
+}
+
+function closeArticle() {
+    articleModal.style.display = 'none';
+    modalArticle = null;
+}
+
+// Account state
+const accountButton = document.getElementById('account-button');
+const authPanel = document.getElementById('auth-panel');
+const authContent = document.getElementById('auth-content');
+let currentUser = null;
+
+// Load the signed-in user, if any
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/me`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        currentUser = data.user;
+    } catch (error) {
+        console.error('Error loading current user:', error);
+        currentUser = null;
+    }
+    updateAccountButton();
+}
+
+function updateAccountButton() {
+    accountButton.textContent = currentUser && !currentUser.anonymous ? currentUser.email : 'Sign in';
+}
+
+// Show the sign in / sign up form, or the account details when signed in
+function openAuthPanel(mode = 'login') {
+    if (currentUser && !currentUser.anonymous) {
+        authContent.innerHTML = `
+            <h2>Your account</h2>
+            <p class="auth-note">Signed in as ${escapeHtml(currentUser.email)}</p>
+            <button type="button" class="auth-submit" onclick="submitLogout()">Log out</button>
+            <button type="button" class="auth-link" onclick="closeAuthPanel()">Close</button>
+        `;
+    } else {
+        const isSignup = mode === 'signup';
+        authContent.innerHTML = `
+            <form class="auth-form" onsubmit="submitAuth(event, '${mode}')">
+                <h2>${isSignup ? 'Create an account' : 'Sign in'}</h2>
+                ${isSignup ? '<p class="auth-note">Votes you have already cast on this device will be kept.</p>' : ''}
+                <input type="email" name="email" class="auth-input" placeholder="Email" autocomplete="email" required>
+                <input type="password" name="password" class="auth-input" placeholder="Password" minlength="8"
+                       autocomplete="${isSignup ? 'new-password' : 'current-password'}" required>
+                <p class="auth-error"></p>
+                <button type="submit" class="auth-submit">${isSignup ? 'Sign up' : 'Sign in'}</button>
+                <button type="button" class="auth-link" onclick="openAuthPanel('${isSignup ? 'login' : 'signup'}')">
+                    ${isSignup ? 'Already have an account? Sign in' : 'Need an account? Sign up'}
+                </button>
+                <button type="button" class="auth-link" onclick="closeAuthPanel()">Cancel</button>
+            </form>
+        `;
+    }
+    authPanel.style.display = 'block';
+}
+
+function closeAuthPanel() {
+    authPanel.style.display = 'none';
+}
+
+// Votes shown on screen belong to the previous user after signing in or out
+async function refreshAfterAuthChange() {
+    updateAccountButton();
+    // Followed topics belong to the account
+    await loadCategories();
+    pollCache.clear();
+    if (articles.length) {
+        await displayCurrentArticle();
+    }
+}
+
+// Submit the sign in or sign up form
+async function submitAuth(event, mode) {
+    event.preventDefault();
+    const form = event.target;
+    const errorElement = form.querySelector('.auth-error');
+    errorElement.textContent = '';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/${mode}`, {
+            ...fetchOptions,
+            method: 'POST',
+            body: JSON.stringify({
+                email: form.email.value,
+                password: form.password.value
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        currentUser = data.user;
+        closeAuthPanel();
+        await refreshAfterAuthChange();
+    } catch (error) {
+        console.error(`Error during ${mode}:`, error);
+        errorElement.textContent = error.message;
+    }
+}
+
+async function submitLogout() {
+    try {
+        await fetch(`${API_BASE_URL}/auth/logout`, { ...fetchOptions, method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    currentUser = null;
+    closeAuthPanel();
+    await refreshAfterAuthChange();
+}
+
+// Voting history panel
+const historyButton = document.getElementById('history-button');
+const historyPanel = document.getElementById('history-panel');
+const historyContent = document.getElementById('history-content');
+let historyCategory = 'all';
+
+// Describe how the reader's answer compared with everyone else's
+function describeStanding(entry) {
+    if (entry.standing === 'majority') {
+        return `You voted with the majority (${entry.majorityPercentage}%)`;
+    }
+    if (entry.standing === 'tied') {
+        return `Your answer is tied for the lead (${entry.majorityPercentage}%)`;
+    }
+    return `Most readers chose "${entry.majority[0]}" (${entry.majorityPercentage}%)`;
+}
+
+function renderHistoryEntry(entry) {
+    const categoryName = newsCategories[entry.category]?.name;
+    return `
+        <div class="history-entry ${entry.standing}">
+            <div class="history-meta">
+                <span class="source">${escapeHtml(entry.article.source || '')}</span>
+                ${categoryName ? `<span class="history-category">${escapeHtml(categoryName)}</span>` : ''}
+                <span class="date">${new Date(entry.votedAt).toLocaleDateString()}</span>
+            </div>
+            <a href="${safeHref(entry.article.url)}" target="_blank" rel="noopener" class="history-title">${escapeHtml(entry.article.title)}</a>
+            <p class="history-question">${escapeHtml(entry.question)}</p>
+            ${entry.type === 'single' ? '' : `<p class="history-choice">Your answer: ${escapeHtml(entry.option)}</p>`}
+            <div class="poll-results">
+                ${entry.results.results.map(result => `
+                    <div class="poll-result ${chosenOptions(entry.choice).includes(result.option) ? 'selected' : ''}">
+                        <div class="poll-result-bar" style="width: ${result.percentage}%"></div>
+                        <span class="poll-result-label">${escapeHtml(result.option)}</span>
+                        <span class="poll-result-value">${result.percentage}%</span>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="history-standing">${escapeHtml(describeStanding(entry))} · ${entry.results.totalVotes} ${entry.results.totalVotes === 1 ? 'vote' : 'votes'}</p>
+        </div>
+    `;
+}
+
+// Load and show the reader's past votes for the selected category
+async function openHistoryPanel(category = historyCategory) {
+    historyCategory = category;
+    const filters = [['all', 'All'], ...Object.entries(newsCategories).map(([key, info]) => [key, info.name])];
+
+    historyContent.innerHTML = `
+        <div class="modal-header">
+            <h2>My Polls</h2>
+        </div>
+        <div class="history-filters">
+            ${filters.map(([key, name]) => `
+                <button class="category-btn ${key === category ? 'active' : ''}" onclick="openHistoryPanel('${escapeHtml(key)}')">${escapeHtml(name)}</button>
+            `).join('')}
+        </div>
+        <div class="history-list"><p class="auth-note">Loading your votes...</p></div>
+    `;
+    historyPanel.style.display = 'block';
+
+    const list = historyContent.querySelector('.history-list');
+    try {
+        const response = await fetch(`${API_BASE_URL}/me/votes?category=${encodeURIComponent(category)}`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        if (category !== historyCategory) return;
+
+        list.innerHTML = data.votes.length
+            ? data.votes.map(renderHistoryEntry).join('')
+            : '<p class="auth-note">No votes yet. Answer a poll and it will show up here.</p>';
+    } catch (error) {
+        console.error('Error loading vote history:', error);
+        list.innerHTML = `<p class="auth-error">Couldn't load your votes: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function closeHistoryPanel() {
+    historyPanel.style.display = 'none';
+}
+
+// Profile panel
+const profileButton = document.getElementById('profile-button');
+const profilePanel = document.getElementById('profile-panel');
+const profileContent = document.getElementById('profile-content');
+
+// Load and show the reader's quiz stats, streaks and badges
+async function openProfilePanel() {
+    profileContent.innerHTML = `
+        <div class="modal-header">
+            <h2>Profile</h2>
+        </div>
+        <div class="profile-body"><p class="auth-note">Loading your achievements...</p></div>
+    `;
+    profilePanel.style.display = 'block';
+
+    const body = profileContent.querySelector('.profile-body');
+    try {
+        const response = await fetch(`${API_BASE_URL}/me/achievements`, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { stats, badges } = await response.json();
+        const accuracy = stats.questionsAnswered
+            ? Math.round((stats.correctAnswers / stats.questionsAnswered) * 100)
+            : 0;
+        const statItems = [
+            ['Quizzes', stats.quizzesCompleted],
+            ['Accuracy', `${accuracy}%`],
+            ['Current streak', `${stats.currentStreak} ${stats.currentStreak === 1 ? 'day' : 'days'}`],
+            ['Best streak', `${stats.longestStreak} ${stats.longestStreak === 1 ? 'day' : 'days'}`],
+            ['Polls answered', stats.pollsAnswered]
+        ];
+
+        body.innerHTML = `
+            <div class="profile-stats">
+                ${statItems.map(([label, value]) => `
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${value}</span>
+                        <span class="profile-stat-label">${label}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h3 class="profile-badges-title">Badges</h3>
+            <div class="profile-badges">
+                ${badges.map(badge => `
+                    <div class="profile-badge ${badge.earned ? 'earned' : 'locked'}" title="${escapeHtml(badge.description)}">
+                        <span class="profile-badge-icon">${badge.icon || '🏅'}</span>
+                        <span class="profile-badge-name">${escapeHtml(badge.name)}</span>
+                        <span class="profile-badge-description">${escapeHtml(badge.description)}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${currentUser && !currentUser.anonymous ? '' : '<p class="auth-note">Sign in to keep your progress across devices.</p>'}
+        `;
+    } catch (error) {
+        console.error('Error loading achievements:', error);
+        body.innerHTML = `<p class="auth-error">Couldn't load your achievements: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function closeProfilePanel() {
+    profilePanel.style.display = 'none';
+}
+
+// Followed topics panel
+const topicsPanel = document.getElementById('topics-panel');
+const topicsContent = document.getElementById('topics-content');
+
+// Show the reader's followed topics and a form to follow another
+function openTopicsPanel() {
+    const topics = Object.values(followedTopics);
+    topicsContent.innerHTML = `
+        <form class="auth-form" onsubmit="submitTopic(event)">
+            <h2>Follow a topic</h2>
+            <p class="auth-note">Topics appear next to the categories and show news matching any of their keywords.</p>
+            <input type="text" name="name" class="auth-input" placeholder="Name, e.g. Space" maxlength="40" required>
+            <input type="text" name="keywords" class="auth-input" placeholder="Keywords, comma separated, e.g. NASA, SpaceX, Mars" required>
+            <p class="auth-error"></p>
+            <button type="submit" class="auth-submit">Follow</button>
+        </form>
+        ${topics.length ? `
+            <ul class="topic-list">
+                ${topics.map(topic => `
+                    <li class="topic-item">
+                        <span>
+                            <strong>${escapeHtml(topic.name)}</strong>
+                            <span class="topic-keywords">${escapeHtml(topic.keywords.join(', '))}</span>
+                        </span>
+                        <button type="button" class="auth-link" onclick="submitUnfollowTopic('${topic.id}')">Unfollow</button>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+        <button type="button" class="auth-link" onclick="closeTopicsPanel()">Close</button>
+    `;
+    topicsPanel.style.display = 'block';
+}
+
+function closeTopicsPanel() {
+    topicsPanel.style.display = 'none';
+}
+
+// Follow the topic in the panel's form
+async function submitTopic(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errorElement = form.querySelector('.auth-error');
+    errorElement.textContent = '';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/me/topics`, {
+            ...fetchOptions,
+            method: 'POST',
+            body: JSON.stringify({
+                name: form.elements.name.value,
+                keywords: form.elements.keywords.value
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        console.log('Followed topic:', data.name);
+        await loadCategories();
+        openTopicsPanel();
+    } catch (error) {
+        console.error('Error following topic:', error);
+        errorElement.textContent = error.message;
+    }
+}
+
+// Stop following a topic, leaving its news if it is showing
+async function submitUnfollowTopic(topicId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/me/topics/${encodeURIComponent(topicId)}/unfollow`, {
+            ...fetchOptions,
+            method: 'POST'
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const wasActive = activeCategory === `topic-${topicId}`;
+        await loadCategories();
+        openTopicsPanel();
+        if (wasActive) {
+            document.querySelector('.category-btn[data-category="all"]').classList.add('active');
+            await fetchNews();
+        }
+    } catch (error) {
+        console.error('Error unfollowing topic:', error);
+    }
+}
+
+// Initialize the app. `loadArticles` shows the first articles.
+async function initializeApp(loadArticles = fetchNews) {
+    console.log('Initializing app...');
+    await loadCurrentUser();
+    await loadCategories();
+    await loadArticles();
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('DOM Content Loaded');
+    
+    const newsContainer = document.getElementById('news-container');
+    const categoryMenu = document.querySelector('.category-menu');
+    const searchBar = document.querySelector('.search-bar');
+    const searchButton = document.querySelector('.search-button');
+    let currentCategory = 'all';
+
+    // Add event listeners for search
+    searchButton.addEventListener('click', handleSearch);
+    searchBar.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleSearch();
+        }
+    });
+
+    // Filter panel
+    const filterToggle = document.querySelector('.filter-toggle');
+    const filterPanel = document.getElementById('filter-panel');
+    filterToggle.addEventListener('click', () => {
+        filterPanel.hidden = !filterPanel.hidden;
+        filterToggle.setAttribute('aria-expanded', String(!filterPanel.hidden));
+    });
+    filterPanel.addEventListener('change', updateFilterCount);
+    filterPanel.addEventListener('reset', () => setTimeout(updateFilterCount));
+    filterPanel.addEventListener('submit', (e) => {
+        e.preventDefault();
+        filterPanel.hidden = true;
+        filterToggle.setAttribute('aria-expanded', 'false');
+        handleSearch();
+    });
+
+    // Open a shared poll or search from the URL, or the top news
+    initializeApp(() => {
+        const sharedPollId = new URLSearchParams(window.location.search).get('poll');
+        if (sharedPollId) {
+            return openSharedPoll(sharedPollId);
+        }
+        return restoreSearchFromUrl() ? handleSearch() : fetchNews();
+    });
+
+    // Search with the search bar's term and the filter panel's filters. The
+    // search is kept in the page URL so it can be shared.
+    async function handleSearch() {
+        const searchTerm = searchBar.value.trim();
+        const query = searchQueryString(searchTerm, readSearchFilters());
+        if (query) {
+            try {
+                showLoading();
+                const url = `${API_BASE_URL}/news?${query}`;
+                console.log('Searching news from:', url);
+                
+                const response = await fetch(url, {
+                    ...fetchOptions,
+                    headers: {
+                        ...fetchOptions.headers,
+                        'Origin': window.location.origin
+                    }
+                });
+                console.log('Search response status:', response.status);
+                
+                if (!response.ok) {
                     const errorText = await response.text();
                     console.error('Search error response:', errorText);
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    // Invalid filters come back with an explanation
+                    let message = null;
+                    try {
+                        message = JSON.parse(errorText).error;
+                    } catch {
+                        // Not JSON; fall back to the status
+                    }
+                    throw new Error(message || `HTTP error! status: ${response.status}`);
                 }
                 
                 const data = await response.json();
@@ -504,12 +2102,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 if (data.status === 'ok' && data.articles) {
                     articles = data.articles.filter(article => article.urlToImage);
+                    activeCategory = 'all';
+                    newsParams = query;
+                    nextCursor = data.nextCursor || null;
                     currentIndex = 0;
+                    history.replaceState(null, '', `${window.location.pathname}?${query}`);
                     if (articles.length === 0) {
                         articlesContainer.innerHTML = `
                             <div class="error-message">
                                 <h2>No articles found</h2>
-                                <p>No articles found for "${searchTerm}". Try a different search term.</p>
+                                <p>No articles found ${searchTerm ? `for "${escapeHtml(searchTerm)}"` : 'with these filters'}. Try a different search term or filters.</p>
                                 <button onclick="fetchNews()" class="retry-button">Show All News</button>
                             </div>
                         `;
@@ -524,7 +2126,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 articlesContainer.innerHTML = `
                     <div class="error-message">
                         <h2>Error searching articles</h2>
-                        <p>${error.message}</p>
+                        <p>${escapeHtml(error.message)}</p>
                         <button onclick="fetchNews()" class="retry-button">Show All News</button>
                     </div>
                 `;
@@ -535,7 +2137,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function setActiveCategory(category) {
-        categoryButtons.forEach(btn => {
+        categoryMenu.querySelectorAll('.category-btn').forEach(btn => {
             btn.classList.remove('active');
             if (btn.dataset.category === category) {
                 btn.classList.add('active');
@@ -544,36 +2146,94 @@ document.addEventListener('DOMContentLoaded', () => {
         currentCategory = category;
     }
 
-    // Category buttons
-    categoryButtons.forEach(button => {
-        button.addEventListener('click', async () => {
-            console.log('Category button clicked:', button.dataset.category);
-            categoryButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
-            
-            const category = button.dataset.category;
-            currentIndex = 0;
-            
-            try {
-                if (category === 'all') {
-                    await fetchNews();
-                } else {
-                    await getNewsByCategory(category);
-                }
-            } catch (error) {
-                console.error('Error fetching category news:', error);
-                articlesContainer.innerHTML = `
-                    <div class="error-message">
-                        <h2>Error loading articles</h2>
-                        <p>${error.message}</p>
-                        <button onclick="fetchNews()" class="retry-button">Show All News</button>
-                    </div>
-                `;
+    // Category buttons, including ones added after the categories load
+    categoryMenu.addEventListener('click', async (e) => {
+        const button = e.target.closest('.category-btn');
+        if (!button) return;
+        if (button.classList.contains('add-topic-btn')) {
+            openTopicsPanel();
+            return;
+        }
+
+        console.log('Category button clicked:', button.dataset.category);
+        setActiveCategory(button.dataset.category);
+        // Searches live in the URL; categories don't
+        history.replaceState(null, '', window.location.pathname);
+
+        const category = button.dataset.category;
+        currentIndex = 0;
+
+        try {
+            if (category === 'all') {
+                await fetchNews();
+            } else if (pollFeeds[category]) {
+                await getPollFeed(category);
+            } else {
+                await getNewsByCategory(category);
             }
-        });
+        } catch (error) {
+            console.error('Error fetching category news:', error);
+            articlesContainer.innerHTML = `
+                <div class="error-message">
+                    <h2>Error loading articles</h2>
+                    <p>${escapeHtml(error.message)}</p>
+                    <button onclick="fetchNews()" class="retry-button">Show All News</button>
+                </div>
+            `;
+        }
     });
     
     // Navigation buttons
     prevButton.addEventListener('click', prevArticle);
     nextButton.addEventListener('click', nextArticle);
+
+    // History panel
+    historyButton.addEventListener('click', () => openHistoryPanel());
+    historyPanel.addEventListener('click', (e) => {
+        if (e.target === historyPanel) {
+            closeHistoryPanel();
+        }
+    });
+
+    // Article summary modal
+    articleModal.addEventListener('click', (e) => {
+        if (e.target === articleModal) {
+            closeArticle();
+        }
+    });
+
+    // Profile panel
+    profileButton.addEventListener('click', () => openProfilePanel());
+    profilePanel.addEventListener('click', (e) => {
+        if (e.target === profilePanel) {
+            closeProfilePanel();
+        }
+    });
+
+    // Glossary popovers close on a click elsewhere or Escape
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.glossary-popover')) {
+            closeGlossaryPopover();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeGlossaryPopover();
+        }
+    });
+
+    // Followed topics panel
+    topicsPanel.addEventListener('click', (e) => {
+        if (e.target === topicsPanel) {
+            closeTopicsPanel();
+        }
+    });
+
+    // Account panel
+    accountButton.addEventListener('click', () => openAuthPanel());
+    authPanel.addEventListener('click', (e) => {
+        if (e.target === authPanel) {
+            closeAuthPanel();
+        }
+    });
 }); 
\ No newline at end of file
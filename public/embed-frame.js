@@ -0,0 +1,148 @@
+// Runs inside the /embed/:pollId iframe. Draws the poll's options, records
+// votes, keeps the results live and tells the host page about votes, results
+// and size changes with postMessage (see embed.js).
+const embedData = JSON.parse(document.getElementById('embed-data').textContent);
+const poll = embedData.poll;
+const hostOrigin = embedData.hostOrigin;
+let results = embedData.results;
+let userVote = poll.userVote;
+// Options picked so far, for multi-select and ranked polls
+let selected = [];
+let resultsStream = null;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Send a message to the host page. Messages only go to a host on the poll's
+// allowlist.
+function notifyHost(type, data = {}) {
+    if (!hostOrigin || window.parent === window) return;
+    window.parent.postMessage({ type: `pollit:${type}`, pollId: poll.pollId, ...data }, hostOrigin);
+}
+
+// Tell the host the content height so it can size the iframe
+let reportedHeight = 0;
+function reportHeight() {
+    const height = Math.ceil(document.body.getBoundingClientRect().height);
+    if (height === reportedHeight) return;
+    reportedHeight = height;
+    notifyHost('resize', { height });
+}
+
+// Options the reader's vote counts toward
+function votedOptions() {
+    if (!userVote) return [];
+    return userVote.options || userVote.ranking || [userVote.option];
+}
+
+function renderOptions(error = '') {
+    const type = poll.type;
+    const picking = type === 'multi' || type === 'ranked';
+    const hint = type === 'multi'
+        ? 'Pick every option you agree with'
+        : type === 'ranked' ? 'Tap options in order of preference' : '';
+
+    document.getElementById('embed-body').innerHTML = `
+        ${hint ? `<p class="embed-status">${hint}</p>` : ''}
+        <div class="embed-options">
+            ${poll.options.map(option => {
+                const rank = selected.indexOf(option) + 1;
+                return `
+            <button type="button" class="embed-option ${rank ? 'selected' : ''}" data-option="${escapeHtml(option)}">
+                ${type === 'ranked' && rank ? `<span class="embed-rank">${rank}</span>` : ''}
+                <span>${escapeHtml(option)}</span>
+            </button>`;
+            }).join('')}
+        </div>
+        ${picking ? `<button type="button" class="embed-submit" ${selected.length ? '' : 'disabled'}>Vote</button>` : ''}
+        ${error ? `<p class="embed-error">${escapeHtml(error)}</p>` : ''}`;
+}
+
+function renderResults() {
+    const chosen = votedOptions();
+    const votes = `${results.totalVotes} ${results.totalVotes === 1 ? 'vote' : 'votes'}`;
+    const headline = results.winner ? `${votes} · Leading: ${results.winner}` : votes;
+
+    document.getElementById('embed-body').innerHTML = `
+        <ul class="embed-results">
+            ${results.results.map(result => `
+            <li class="embed-result ${chosen.includes(result.option) ? 'chosen' : ''}">
+                <div class="embed-result-label"><span>${escapeHtml(result.option)}</span><span>${result.percentage}%</span></div>
+                <div class="embed-result-bar"><div class="embed-result-fill" style="width: ${Math.min(result.percentage, 100)}%"></div></div>
+            </li>`).join('')}
+        </ul>
+        <p class="embed-status">${escapeHtml(headline)}</p>`;
+}
+
+// Show results and follow them live
+function showResults() {
+    renderResults();
+    if (resultsStream) return;
+
+    resultsStream = new EventSource(`/api/polls/${encodeURIComponent(poll.pollId)}/stream`);
+    resultsStream.addEventListener('results', event => {
+        results = JSON.parse(event.data);
+        renderResults();
+        notifyHost('results', { results });
+    });
+}
+
+async function submitVote(body) {
+    try {
+        const response = await fetch(`/api/polls/${encodeURIComponent(poll.pollId)}/votes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        // 409 means the reader already voted, e.g. in the app
+        if (!response.ok && response.status !== 409) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        const { userVote: vote, error, ...latest } = data;
+        userVote = vote;
+        results = latest;
+        console.log('Embed vote recorded for poll:', poll.pollId);
+        showResults();
+        notifyHost('vote', { userVote, results, alreadyVoted: response.status === 409 });
+    } catch (error) {
+        console.error('Error voting from embed:', error);
+        renderOptions('Your vote could not be recorded. Please try again.');
+    }
+}
+
+document.getElementById('embed-body').addEventListener('click', event => {
+    const optionButton = event.target.closest('.embed-option');
+    if (optionButton) {
+        const option = optionButton.dataset.option;
+        if (poll.type === 'multi' || poll.type === 'ranked') {
+            selected = selected.includes(option)
+                ? selected.filter(item => item !== option)
+                : [...selected, option];
+            renderOptions();
+        } else {
+            submitVote({ option });
+        }
+        return;
+    }
+
+    if (event.target.closest('.embed-submit') && selected.length) {
+        submitVote(poll.type === 'ranked' ? { ranking: selected } : { options: selected });
+    }
+});
+
+if (userVote) {
+    showResults();
+} else {
+    renderOptions();
+}
+new ResizeObserver(reportHeight).observe(document.body);
+notifyHost('ready', { poll: { pollId: poll.pollId, type: poll.type, question: poll.question, options: poll.options } });
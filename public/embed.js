@@ -0,0 +1,60 @@
+// Poll.it embed loader for partner sites. Include it once and add an element
+// for each poll:
+//
+//   <div data-pollit-poll="POLL_ID"></div>
+//   <script src="https://SERVER/embed.js" async></script>
+//
+// Each element gets an iframe showing the poll. The iframe resizes to fit and
+// the element fires DOM events the page can listen to:
+//   pollit:ready    the poll has loaded; detail.poll has its question and options
+//   pollit:vote     the reader voted; detail.userVote and detail.results
+//   pollit:results  live results changed; detail.results
+//   pollit:resize   the content height changed; detail.height
+(function () {
+    const script = document.currentScript;
+    const serverOrigin = new URL(script.src).origin;
+    // iframe -> the element it was mounted in
+    const frames = new Map();
+
+    function mount(element) {
+        const pollId = element.dataset.pollitPoll;
+        if (!pollId || element.dataset.pollitMounted) return;
+        element.dataset.pollitMounted = 'true';
+
+        const iframe = document.createElement('iframe');
+        const params = new URLSearchParams({ origin: window.location.origin });
+        iframe.src = `${serverOrigin}/embed/${encodeURIComponent(pollId)}?${params}`;
+        iframe.title = 'Poll.it poll';
+        iframe.loading = 'lazy';
+        iframe.style.cssText = 'width: 100%; height: 320px; border: 0; display: block;';
+        element.appendChild(iframe);
+        frames.set(iframe, element);
+    }
+
+    function mountAll() {
+        document.querySelectorAll('[data-pollit-poll]').forEach(mount);
+    }
+
+    window.addEventListener('message', event => {
+        if (event.origin !== serverOrigin || typeof event.data?.type !== 'string') return;
+        if (!event.data.type.startsWith('pollit:')) return;
+
+        for (const [iframe, element] of frames) {
+            if (iframe.contentWindow !== event.source) continue;
+            if (event.data.type === 'pollit:resize') {
+                iframe.style.height = `${event.data.height}px`;
+            }
+            const { type, ...detail } = event.data;
+            element.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+        }
+    });
+
+    // Pages that add poll elements later can mount them with Pollit.mount()
+    window.Pollit = { mount: mountAll };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountAll);
+    } else {
+        mountAll();
+    }
+})();
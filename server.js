@@ -1,10 +1,69 @@
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
+import cookieParser from 'cookie-parser';
+import { getArticleId, getPollId, getPoll, savePoll, recordVote, getUserVote, getResults, getVoteHistory, tagPollCategory } from './lib/polls.js';
+import { attachUser, ensureUser, formatUser, signUp, logIn, logOut } from './lib/auth.js';
+import { parsePollContent } from './lib/pollSchema.js';
+import { parseBiasAnalysis } from './lib/biasSchema.js';
+import { SUMMARY_LEVELS, parseSummary } from './lib/summarySchema.js';
+import { parsePerspectives } from './lib/perspectiveSchema.js';
+import { parseQuiz } from './lib/quizSchema.js';
+import { parseGlossarySuggestions } from './lib/glossarySchema.js';
+import { loadCuratedGlossary, createGlossary } from './lib/glossary.js';
+import {
+    publicQuestions,
+    getQuizAttempt,
+    validateAnswers,
+    gradeQuiz,
+    recordQuizAttempt,
+    formatAttempt
+} from './lib/quizzes.js';
+import { loadBadgeRules, awardBadges, getAchievements, getUserStats } from './lib/achievements.js';
+import { pollType, validateVote, voteChoice } from './lib/pollTypes.js';
+import { createProvider } from './lib/llm/index.js';
+import {
+    POLL_SYSTEM_PROMPT,
+    buildPollPrompt,
+    BIAS_SYSTEM_PROMPT,
+    buildBiasPrompt,
+    SUMMARY_SYSTEM_PROMPT,
+    buildSummaryPrompt,
+    PERSPECTIVES_SYSTEM_PROMPT,
+    buildPerspectivesPrompt,
+    QUIZ_SYSTEM_PROMPT,
+    buildQuizPrompt,
+    GLOSSARY_SYSTEM_PROMPT,
+    buildGlossaryPrompt
+} from './lib/prompts.js';
+import { loadSources, fetchArticles } from './lib/sources/index.js';
+import { parseNewsFilters, hasCustomFilters, DEFAULT_NEWS_FILTERS } from './lib/sources/filters.js';
+import { isHttpUrl } from './lib/sources/normalize.js';
+import { createArticleRegistry } from './lib/articleRegistry.js';
+import { createSwrCache } from './lib/cache.js';
+import { DATA_DIR } from './lib/db.js';
+import {
+    validateImageUrl,
+    fetchImage,
+    createImageCache,
+    parseDimension,
+    negotiateFormat,
+    transformImage
+} from './lib/imageProxy.js';
+import { renderFallbackImage } from './lib/fallbackImage.js';
+import { createResultsStream } from './lib/resultsStream.js';
+import { getTrendingPolls, getDivisivePolls } from './lib/pollFeeds.js';
+import { getOrCreateAnalysis, getAnalysisById } from './lib/analyses.js';
+import { groupStories } from './lib/stories.js';
+import { decodeCursor, paginate } from './lib/pagination.js';
+import { renderPollPage, renderMissingPollPage, renderPollPreviewPng } from './lib/pollPage.js';
+import { loadCategories, formatCategory } from './lib/categories.js';
+import { parseOrigins, getEmbed, listEmbeds, saveEmbed, removeEmbed, normalizeOrigin, isEmbedOrigin, embedFramePolicy } from './lib/embeds.js';
+import { renderEmbedPage, renderMissingEmbedPage } from './lib/embedPage.js';
+import { validateTopic, topicQuery, getTopic, getUserTopics, followTopic, unfollowTopic, formatTopic, TOPIC_LIMITS } from './lib/topics.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,282 +74,709 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Sites the app itself runs on, as a comma-separated CORS_ORIGINS list.
+// Partner sites don't go here: each embedded poll has its own allowlist (see
+// lib/embeds.js) and embeds talk to the API from their own iframe.
+const APP_ORIGINS = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : ['https://rarora2025.github.io', 'http://localhost:3000', 'https://pollit-backend-6b36ba4351c1.herokuapp.com'];
+
 // CORS configuration
 app.use(cors({
-    origin: ['https://rarora2025.github.io', 'http://localhost:3000', 'https://pollit-backend-6b36ba4351c1.herokuapp.com'],
+    origin: APP_ORIGINS,
     methods: ['GET', 'POST', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'Origin'],
-    exposedHeaders: ['Content-Type', 'Access-Control-Allow-Origin'],
-    credentials: false
+    exposedHeaders: ['Content-Type', 'Access-Control-Allow-Origin', 'ETag', 'X-Cache'],
+    // Session cookies are sent cross-site from the GitHub Pages frontend
+    credentials: true
 }));
 
+// Heroku terminates TLS in its router; trust it so req.secure is accurate
+app.set('trust proxy', 1);
+
 // Log all incoming requests
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
     console.log('Origin:', req.headers.origin);
-    console.log('Headers:', req.headers);
+    // Keep session cookies and credentials out of the logs
+    console.log('Headers:', {
+        ...req.headers,
+        ...(req.headers.cookie ? { cookie: '[redacted]' } : {}),
+        ...(req.headers.authorization ? { authorization: '[redacted]' } : {})
+    });
     next();
 });
 
 // Parse JSON bodies
 app.use(express.json());
 
+// Signed cookies carry the session token
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set, using a random secret; sessions will not survive restarts');
+}
+app.use(cookieParser(SESSION_SECRET));
+
+// Attach req.user from the session cookie
+app.use(attachUser);
+
 // Serve static files from the public directory
 app.use(express.static('public'));
 
-// API Keys
-const NEWS_API_KEY = process.env.NEWS_API_KEY;
-if (!NEWS_API_KEY) {
-    console.error('NEWS_API_KEY environment variable is not set');
-    process.exit(1);
-}
+// News sources used by /api/news (see config/sources.json)
+const newsSources = loadSources();
 
-const UNSPLASH_API_KEY = 'YOUR_UNSPLASH_API_KEY'; // You'll need to get this from Unsplash
-const NEWS_API_BASE_URL = 'https://newsapi.org/v2';
+// News categories and the queries behind them (see config/categories.json)
+const newsCategories = loadCategories();
 
-// Cache for Unsplash images
-const unsplashCache = new Map();
+// News responses are cached for NEWS_CACHE_TTL seconds, then served stale for
+// up to NEWS_CACHE_STALE more seconds while they refresh in the background
+const NEWS_CACHE_TTL = parseInt(process.env.NEWS_CACHE_TTL || '300', 10);
+const NEWS_CACHE_STALE = parseInt(process.env.NEWS_CACHE_STALE || '3600', 10);
+const newsCache = createSwrCache({
+    name: 'news',
+    ttl: NEWS_CACHE_TTL * 1000,
+    staleTtl: NEWS_CACHE_STALE * 1000,
+    file: process.env.NEWS_CACHE_PERSIST === 'true'
+        ? path.join(DATA_DIR, 'news-cache.json')
+        : null
+});
 
-// Get a random image from Unsplash
-async function getUnsplashImage(query) {
-    try {
-        if (unsplashCache.has(query)) {
-            return unsplashCache.get(query);
-        }
+// Articles served by /api/news; polls are only generated for these
+const servedArticles = createArticleRegistry();
 
-        const response = await fetch(
-            `https://api.unsplash.com/photos/random?query=${encodeURIComponent(query)}&orientation=landscape`,
-            {
-                headers: {
-                    'Authorization': `Client-ID ${UNSPLASH_API_KEY}`
-                }
-            }
-        );
+// Articles at least this similar (estimated Jaccard similarity of their
+// title and description) are treated as the same story
+const STORY_SIMILARITY_THRESHOLD = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD || '0.5');
 
-        if (!response.ok) {
-            throw new Error('Failed to fetch from Unsplash');
-        }
+// Proxied images are kept in a bounded on-disk LRU cache
+const imageCache = createImageCache({
+    dir: path.join(DATA_DIR, 'image-cache'),
+    maxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES || String(200 * 1024 * 1024), 10)
+});
 
-        const data = await response.json();
-        const imageUrl = data.urls.regular;
-        unsplashCache.set(query, imageUrl);
-        return imageUrl;
-    } catch (error) {
-        console.error('Error fetching from Unsplash:', error);
-        return null;
+// LLM provider used for poll generation and article analysis (see
+// lib/llm/index.js for options)
+const llm = createProvider();
+console.log(`Using LLM provider: ${llm.name} (${llm.model})`);
+
+// Live results for open poll cards. Results go out at most once per
+// RESULTS_STREAM_THROTTLE_MS per poll.
+const resultsStream = createResultsStream({
+    getResults,
+    throttleMs: parseInt(process.env.RESULTS_STREAM_THROTTLE_MS || '1000', 10)
+});
+
+// Badges awarded for quizzes and polls (see config/badges.json)
+const badgeRules = loadBadgeRules();
+
+// Glossary of curated and moderator-approved terms. Unless
+// GLOSSARY_SUGGESTIONS is "false", the LLM suggests new terms from the
+// articles readers open; they wait for review before being served.
+const glossary = createGlossary(loadCuratedGlossary());
+const GLOSSARY_SUGGESTIONS = process.env.GLOSSARY_SUGGESTIONS !== 'false';
+
+// Poll feeds: how fast trending scores decay, and how many votes a poll
+// needs before it can rank as divisive
+const TRENDING_HALF_LIFE_HOURS = parseFloat(process.env.TRENDING_HALF_LIFE_HOURS || '6');
+const DIVISIVE_MIN_VOTES = parseInt(process.env.DIVISIVE_MIN_VOTES || '5', 10);
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+// Set the headers every proxied image response shares
+function setImageHeaders(res, contentType) {
+    res.set('Content-Type', contentType);
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Origin');
+    res.set('Access-Control-Expose-Headers', 'Content-Type, Access-Control-Allow-Origin');
+    // Proxied files are served from our origin, so never let them run scripts
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.set('X-Content-Type-Options', 'nosniff');
+    // The encoding depends on the Accept header
+    res.set('Vary', 'Accept');
+}
+
+// Send the generated fallback image for an article
+function sendFallbackImage(res, { source, category, title, width, height }) {
+    const fallbackWidth = width || 800;
+    setImageHeaders(res, 'image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(renderFallbackImage({
+        source,
+        category,
+        title,
+        width: fallbackWidth,
+        height: height || Math.round(fallbackWidth / 2)
+    }));
+}
+
+// Get the original image, from the disk cache when possible
+async function getOriginalImage(imageUrl) {
+    const cached = await imageCache.get(imageUrl);
+    if (cached) {
+        console.log('Serving cached image for:', imageUrl);
+        return cached;
     }
+
+    console.log('Proxying image from:', imageUrl);
+    const image = await fetchImage(imageUrl, {
+        headers: { 'Referer': 'https://newsapi.org/' }
+    });
+    imageCache.set(imageUrl, image).catch(error => {
+        console.error('Error caching image:', error);
+    });
+    return image;
 }
 
-// Image proxy endpoint
+// Image proxy endpoint. Optional parameters:
+//   w, h      resize to fit (both given: crop to exactly that size)
+//   format    avif, webp, jpeg or auto; omitted means negotiate from Accept
+//   source, category, title  describe the article for the fallback image
+//                            shown when the original can't be loaded
 app.get('/api/proxy-image', async (req, res) => {
+    const imageUrl = req.query.url;
+    const width = parseDimension(req.query.w);
+    const height = parseDimension(req.query.h);
+    const fallback = {
+        source: req.query.source,
+        category: req.query.category,
+        title: req.query.title,
+        width,
+        height
+    };
+
     try {
-        const imageUrl = req.query.url;
         if (!imageUrl) {
-            console.log('No image URL provided, using fallback');
-            return res.sendFile(path.join(__dirname, 'public', 'fallback.svg'));
+            console.log('No image URL provided, using fallback image');
+            return sendFallbackImage(res, fallback);
         }
 
-        console.log('Proxying image from:', imageUrl);
-        
         // Validate image URL
-        if (!imageUrl.startsWith('http')) {
-            console.log('Invalid image URL format, using fallback');
-            return res.sendFile(path.join(__dirname, 'public', 'fallback.svg'));
-        }
-
-        // Try to fetch the original image first
-        const response = await fetch(imageUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'image/*',
-                'Referer': 'https://newsapi.org/',
-                'Origin': req.headers.origin || '*'
+        try {
+            validateImageUrl(imageUrl);
+        } catch (error) {
+            console.log(`${error.message}, using fallback image`);
+            return sendFallbackImage(res, fallback);
+        }
+
+        const format = negotiateFormat(req.query.format, req.headers.accept);
+        const variant = `${imageUrl}|${width || ''}x${height || ''}|${format || 'original'}`;
+
+        let image = width || height || format ? await imageCache.get(variant) : null;
+        if (!image) {
+            let original;
+            try {
+                original = await getOriginalImage(imageUrl);
+            } catch (error) {
+                console.error(`Failed to fetch image from ${imageUrl}:`, error.message);
+                return sendFallbackImage(res, fallback);
             }
-        });
 
-        if (!response.ok) {
-            console.error(`Failed to fetch image from ${imageUrl}: ${response.status} ${response.statusText}`);
-            // Use picsum.photos as a fallback
-            const fallbackUrl = `https://picsum.photos/800/400?random=${Math.random()}`;
-            console.log('Using fallback image:', fallbackUrl);
-            const fallbackResponse = await fetch(fallbackUrl);
-            res.set('Content-Type', fallbackResponse.headers.get('content-type'));
-            res.set('Access-Control-Allow-Origin', '*');
-            res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
-            res.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Origin');
-            res.set('Access-Control-Expose-Headers', 'Content-Type, Access-Control-Allow-Origin');
-            fallbackResponse.body.pipe(res);
-            return;
-        }
-
-        // Forward the content type and set CORS headers
-        res.set('Content-Type', response.headers.get('content-type'));
-        res.set('Access-Control-Allow-Origin', '*');
-        res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
-        res.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Origin');
-        res.set('Access-Control-Expose-Headers', 'Content-Type, Access-Control-Allow-Origin');
-        
-        // Stream the image data
-        response.body.pipe(res);
+            try {
+                image = await transformImage(original, { width, height, format });
+                if (image !== original) {
+                    imageCache.set(variant, image).catch(error => {
+                        console.error('Error caching resized image:', error);
+                    });
+                }
+            } catch (error) {
+                console.error(`Failed to resize image from ${imageUrl}, sending original:`, error.message);
+                image = original;
+            }
+        }
+
+        setImageHeaders(res, image.contentType);
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.send(image.buffer);
     } catch (error) {
         console.error('Error proxying image:', error);
-        // Use picsum.photos as a fallback
-        const fallbackUrl = `https://picsum.photos/800/400?random=${Math.random()}`;
-        console.log('Using fallback image due to error:', fallbackUrl);
-        const fallbackResponse = await fetch(fallbackUrl);
-        res.set('Content-Type', fallbackResponse.headers.get('content-type'));
-        res.set('Access-Control-Allow-Origin', '*');
-        res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
-        res.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Origin');
-        res.set('Access-Control-Expose-Headers', 'Content-Type, Access-Control-Allow-Origin');
-        fallbackResponse.body.pipe(res);
+        sendFallbackImage(res, fallback);
     }
 });
 
-// Proxy endpoint for news
-app.get('/api/news', async (req, res) => {
-    try {
-        const query = req.query.q || 'top';
-        console.log('Received news request with query:', query);
-        let url;
+// Deterministic fallback image built from an article's source, category and
+// title, for articles whose own image is missing or broken
+app.get('/api/fallback-image', (req, res) => {
+    sendFallbackImage(res, {
+        source: req.query.source,
+        category: req.query.category,
+        title: req.query.title,
+        width: parseDimension(req.query.w),
+        height: parseDimension(req.query.h)
+    });
+});
+
+// Fetch and filter news from the configured sources
+async function loadNews(query, category, filters) {
+    const articles = await fetchArticles(newsSources, { query, category, filters });
+    console.log('Number of articles received:', articles.length);
+
+    // Simple filtering to ensure we have valid articles
+    const filteredArticles = articles.filter(article => {
+        const hasImage = article.urlToImage && article.urlToImage.startsWith('http');
+        const hasTitle = article.title && article.title.length > 0;
+        const hasDescription = article.description && article.description.length > 30;
         
-        // Handle different types of queries
-        if (query === 'top') {
-            url = `${NEWS_API_BASE_URL}/top-headlines?country=us&apiKey=${NEWS_API_KEY}&pageSize=100`;
-        } else {
-            // For categories and search, use the everything endpoint with proper query formatting
-            const formattedQuery = query.includes('OR') ? `(${query})` : query;
-            url = `${NEWS_API_BASE_URL}/everything?q=${encodeURIComponent(formattedQuery)}&apiKey=${NEWS_API_KEY}&language=en&sortBy=relevancy&pageSize=100`;
+        if (!hasImage) {
+            console.log('Article filtered out - no valid image:', article.title);
         }
-        
-        console.log('Making request to News API:', url);
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            console.error('News API error response:', response.status, response.statusText);
-            throw new Error(`News API error: ${response.status} ${response.statusText}`);
+        if (!hasTitle) {
+            console.log('Article filtered out - no valid title');
+        }
+        if (!hasDescription) {
+            console.log('Article filtered out - no valid description:', article.title);
         }
         
-        const data = await response.json();
-        console.log('News API response status:', data.status);
-        console.log('Number of articles received:', data.articles?.length || 0);
+        return hasImage && hasTitle && hasDescription;
+    });
+
+    console.log(`Found ${filteredArticles.length} articles after filtering for query: ${query}`);
+
+    // Wire stories run by many outlets become one card
+    const stories = groupStories(filteredArticles, { threshold: STORY_SIMILARITY_THRESHOLD });
+    console.log(`Grouped ${filteredArticles.length} articles into ${stories.length} stories`);
+    return stories;
+}
+
+// Cache key for a news request; whitespace and case don't change the results.
+// Requests with the default filters keep the plain key.
+function newsCacheKey(query, category, filters) {
+    const key = `${category || ''}|${query.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+    return hasCustomFilters(filters) ? `${key}|${JSON.stringify(filters)}` : key;
+}
+
+// The search behind a news request: a followed topic's keywords, a
+// category's query, or the free-text `q`. Returns { query, category } or
+// { status, error } when the topic or category doesn't exist.
+function newsRequest(params) {
+    if (params.topic) {
+        const topic = getTopic(String(params.topic));
+        return topic
+            ? { query: topicQuery(topic), category: null }
+            : { status: 404, error: 'Topic not found' };
+    }
+    if (params.category && params.category !== 'top') {
+        const category = newsCategories.get(String(params.category));
+        return category
+            ? { query: category.query, category: category.id }
+            : { status: 400, error: `Unknown category: ${params.category}` };
+    }
+    const query = typeof params.q === 'string' && params.q.trim() ? params.q : 'top';
+    return { query, category: query === 'top' ? 'top' : null };
+}
+
+// Articles per /api/news page
+const DEFAULT_NEWS_PAGE_SIZE = 20;
+const MAX_NEWS_PAGE_SIZE = 50;
+
+// Merged news from the configured sources, for a category
+// (?category=sports), a followed topic (?topic=<id>) or a search (?q=),
+// narrowed by the filters in lib/sources/filters.js. Results come in pages
+// of ?limit= articles; pass a response's `nextCursor` as ?cursor= to get the
+// page after it.
+app.get('/api/news', async (req, res) => {
+    try {
+        const request = newsRequest(req.query);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
+        const { filters, error: filterError } = parseNewsFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        const limit = parseInt(req.query.limit, 10);
+        const pageSize = Number.isFinite(limit) ? Math.min(Math.max(limit, 1), MAX_NEWS_PAGE_SIZE) : DEFAULT_NEWS_PAGE_SIZE;
+
+        const { query, category } = request;
+        // Top headlines only come in English; other languages need a search
+        if (query === 'top' && filters.language !== DEFAULT_NEWS_FILTERS.language && !filters.sources.length) {
+            return res.status(400).json({ error: `"language" other than ${DEFAULT_NEWS_FILTERS.language} needs a search query or sources` });
+        }
+        console.log('Received news request with query:', query, 'category:', category, 'filters:', filters);
+
+        const cached = await newsCache.get(newsCacheKey(query, category, filters), () => loadNews(query, category, filters));
+        console.log(`News cache ${cached.status} for query: ${query}`);
+        const page = paginate(cached.value, { cursor, limit: pageSize });
+        servedArticles.remember(cached.value);
         
-        if (data.status === 'ok') {
-            // Simple filtering to ensure we have valid articles
-            const filteredArticles = data.articles.filter(article => {
-                const hasImage = article.urlToImage && article.urlToImage.startsWith('http');
-                const hasTitle = article.title && article.title.length > 0;
-                const hasDescription = article.description && article.description.length > 30;
-                
-                if (!hasImage) {
-                    console.log('Article filtered out - no valid image:', article.title);
-                }
-                if (!hasTitle) {
-                    console.log('Article filtered out - no valid title');
-                }
-                if (!hasDescription) {
-                    console.log('Article filtered out - no valid description:', article.title);
-                }
-                
-                return hasImage && hasTitle && hasDescription;
-            });
+        // Let browsers and CDNs reuse the response for the rest of its TTL.
+        // Each page of the cached list gets its own ETag.
+        const maxAge = Math.max(0, NEWS_CACHE_TTL - cached.age);
+        res.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${NEWS_CACHE_STALE}`);
+        res.set('ETag', `"${cached.etag.slice(1, -1)}-${page.start}-${pageSize}"`);
+        res.set('X-Cache', cached.status);
 
-            console.log(`Found ${filteredArticles.length} articles after filtering for query: ${query}`);
-            
-            // Set CORS headers
-            res.set('Access-Control-Allow-Origin', '*');
-            res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-            res.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Origin');
-            res.set('Access-Control-Expose-Headers', 'Content-Type, Access-Control-Allow-Origin');
-            
-            // Return the filtered articles
-            res.json({
-                status: 'ok',
-                articles: filteredArticles
-            });
-        } else {
-            console.error('News API error:', data);
-            res.status(500).json({ 
-                error: 'Error fetching news',
-                message: data.message || 'Unknown error occurred'
-            });
+        if (req.fresh) {
+            return res.status(304).end();
         }
+        
+        // Return one page of the filtered articles
+        res.json({
+            status: 'ok',
+            totalResults: cached.value.length,
+            articles: page.items,
+            nextCursor: page.nextCursor
+        });
     } catch (error) {
         console.error('Server error:', error);
         res.status(500).json({ 
-            error: 'Internal server error',
+            error: 'Error fetching news',
             message: error.message
         });
     }
 });
 
-// Generate content using OpenAI
+// Maximum number of attempts at getting valid JSON from the LLM
+const MAX_LLM_ATTEMPTS = 3;
+
+// Ask the LLM provider for JSON and parse it with `parse`, retrying when the
+// model returns output that doesn't match the expected schema. `fields`
+// describes the expected fields in the message that shows the model its
+// mistake.
+async function generateJson({ task, messages, parse, fields, temperature, maxTokens }) {
+    messages = [...messages];
+    let lastError;
+    for (let attempt = 1; attempt <= MAX_LLM_ATTEMPTS; attempt++) {
+        console.log(`Requesting ${task} from LLM provider (attempt ${attempt} of ${MAX_LLM_ATTEMPTS})...`);
+        let text;
+        try {
+            text = await llm.complete({
+                task,
+                messages,
+                json: true,
+                temperature,
+                maxTokens
+            });
+        } catch (error) {
+            console.error(`LLM request failed on attempt ${attempt}:`, error.message);
+            lastError = error;
+            continue;
+        }
+
+        try {
+            return parse(text);
+        } catch (error) {
+            console.error(`Invalid ${task} content on attempt ${attempt}:`, error.message);
+            lastError = error;
+            // Show the model its mistake so the next attempt can correct it
+            messages.push(
+                { role: "assistant", content: text },
+                { role: "user", content: `${error.message}. Reply again with only a JSON object that has ${fields} fields.` }
+            );
+        }
+    }
+
+    throw new Error(`Failed to generate a valid ${task} after ${MAX_LLM_ATTEMPTS} attempts: ${lastError.message}`);
+}
+
+// Generate a poll for an article with the configured LLM provider
+async function generatePoll(article) {
+    console.log(`Generating poll content for article with ${llm.name}/${llm.model}:`, article.title);
+
+    return generateJson({
+        task: 'poll',
+        messages: [
+            {
+                role: "system",
+                content: POLL_SYSTEM_PROMPT
+            },
+            {
+                role: "user",
+                content: buildPollPrompt(article)
+            }
+        ],
+        parse: parsePollContent,
+        fields: '"type", "question", "options" and "rationale"',
+        temperature: 0.9,
+        maxTokens: 300
+    });
+}
+
+// Score an article's title and description for bias with the LLM provider
+async function generateBiasAnalysis(article) {
+    console.log(`Analyzing bias with ${llm.name}/${llm.model}:`, article.title);
+
+    const analysis = await generateJson({
+        task: 'bias',
+        messages: [
+            { role: "system", content: BIAS_SYSTEM_PROMPT },
+            { role: "user", content: buildBiasPrompt(article) }
+        ],
+        parse: text => parseBiasAnalysis(text, article),
+        fields: '"loadedLanguage", "oneSidedness", "lean" and "summary"',
+        temperature: 0.2,
+        maxTokens: 600
+    });
+
+    return {
+        ...analysis,
+        model: `${llm.name}/${llm.model}`,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Summarize an article at a reading level with the LLM provider
+async function generateSummary(article, level) {
+    console.log(`Summarizing at ${level} level with ${llm.name}/${llm.model}:`, article.title);
+
+    const summary = await generateJson({
+        task: 'summary',
+        messages: [
+            { role: "system", content: SUMMARY_SYSTEM_PROMPT },
+            { role: "user", content: buildSummaryPrompt(article, level) }
+        ],
+        parse: parseSummary,
+        fields: '"summary", "deeperDive" and "keyTerms"',
+        temperature: 0.3,
+        maxTokens: 900
+    });
+
+    return {
+        level,
+        ...summary,
+        model: `${llm.name}/${llm.model}`,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Frame an article from several labelled viewpoints with the LLM provider
+async function generatePerspectives(article) {
+    console.log(`Generating perspectives with ${llm.name}/${llm.model}:`, article.title);
+
+    const perspectives = await generateJson({
+        task: 'perspectives',
+        messages: [
+            { role: "system", content: PERSPECTIVES_SYSTEM_PROMPT },
+            { role: "user", content: buildPerspectivesPrompt(article) }
+        ],
+        parse: parsePerspectives,
+        fields: 'a "perspectives" array whose items have "viewpoint", "framing" and "counterarguments"',
+        temperature: 0.7,
+        maxTokens: 1200
+    });
+
+    return {
+        perspectives,
+        disclaimer: 'These framings are AI-generated to show how different groups might see the story. They do not represent any real person or organization.',
+        model: `${llm.name}/${llm.model}`,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Write comprehension questions, with their answer key, for an article
+async function generateQuiz(article) {
+    console.log(`Generating quiz with ${llm.name}/${llm.model}:`, article.title);
+
+    const questions = await generateJson({
+        task: 'quiz',
+        messages: [
+            { role: "system", content: QUIZ_SYSTEM_PROMPT },
+            { role: "user", content: buildQuizPrompt(article) }
+        ],
+        parse: parseQuiz,
+        fields: 'a "questions" array whose items have "question", "options", "answerIndex" and "explanation"',
+        temperature: 0.4,
+        maxTokens: 800
+    });
+
+    return {
+        questions,
+        model: `${llm.name}/${llm.model}`,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Ask the LLM for glossary terms in an article and queue them for review
+async function generateGlossarySuggestions(article) {
+    console.log(`Suggesting glossary terms with ${llm.name}/${llm.model}:`, article.title);
+
+    const terms = await generateJson({
+        task: 'glossary',
+        messages: [
+            { role: "system", content: GLOSSARY_SYSTEM_PROMPT },
+            { role: "user", content: buildGlossaryPrompt(article) }
+        ],
+        parse: text => parseGlossarySuggestions(text, article),
+        fields: 'a "terms" array whose items have "term" and "definition"',
+        temperature: 0.2,
+        maxTokens: 600
+    });
+
+    const model = `${llm.name}/${llm.model}`;
+    glossary.addSuggestions(terms, { articleId: getArticleId(article.url), model });
+    return {
+        terms,
+        model,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Polls currently being generated, keyed by poll ID, so concurrent requests
+// for the same article share a single LLM call
+const pendingPolls = new Map();
+
+// Get the stored poll for an article, generating it on first request
+async function getOrCreatePoll(article, { regenerate = false } = {}) {
+    const pollId = getPollId(article.url);
+    const existing = getPoll(pollId);
+    if (existing?.question && !regenerate) {
+        console.log('Serving stored poll:', pollId);
+        return existing;
+    }
+
+    if (!pendingPolls.has(pollId)) {
+        const pending = generatePoll(article)
+            .then(content => savePoll(article, content))
+            .finally(() => pendingPolls.delete(pollId));
+        pendingPolls.set(pollId, pending);
+    }
+    return pendingPolls.get(pollId);
+}
+
+// The choice a user made on a poll, or null if they haven't voted
+function userVoteFor(pollId, user) {
+    const vote = getUserVote(pollId, user?.id);
+    return vote ? voteChoice(vote) : null;
+}
+
+// Public fields of a stored poll
+function formatPollResponse(poll, user) {
+    return {
+        pollId: poll.id,
+        type: pollType(poll),
+        question: poll.question,
+        options: poll.options,
+        // The requesting user's earlier vote, so the client can show results
+        userVote: userVoteFor(poll.id, user)
+    };
+}
+
+// A poll from a poll feed as a NewsAPI-shaped article, so the client can show
+// it with the same cards as news results. The poll rides along so the card
+// doesn't have to ask for it again.
+function formatFeedArticle({ poll, score, results }, user) {
+    return {
+        source: { id: null, name: poll.article.source || 'Unknown source' },
+        author: null,
+        title: poll.article.title,
+        description: poll.article.description || '',
+        url: poll.article.url,
+        urlToImage: poll.article.urlToImage || null,
+        publishedAt: poll.article.publishedAt || null,
+        content: null,
+        category: poll.category || null,
+        score,
+        totalVotes: results.totalVotes,
+        poll: formatPollResponse(poll, user)
+    };
+}
+
+// Parse the query parameters shared by the poll feeds
+function pollFeedOptions(query) {
+    const limit = parseInt(query.limit, 10);
+    const category = typeof query.category === 'string' && /^[a-z0-9-]{1,40}$/.test(query.category)
+        && query.category !== 'all'
+        ? query.category
+        : undefined;
+    return {
+        limit: Number.isFinite(limit) ? Math.min(Math.max(limit, 1), MAX_FEED_LIMIT) : DEFAULT_FEED_LIMIT,
+        category
+    };
+}
+
+// Longest article text sent to the LLM for analysis
+const MAX_ARTICLE_TITLE_LENGTH = 500;
+const MAX_ARTICLE_DESCRIPTION_LENGTH = 5000;
+
+// Check the article in an analysis request body. Returns an error message or
+// null when the article can be analyzed.
+function validateArticleInput(article) {
+    if (!article || typeof article !== 'object') {
+        return 'Article is required';
+    }
+    if (typeof article.url !== 'string' || !article.url) {
+        return 'Article URL is required';
+    }
+    if (!isHttpUrl(article.url)) {
+        return 'Article URL must be an http(s) URL';
+    }
+    if (typeof article.title !== 'string' || !article.title.trim()) {
+        return 'Article title is required';
+    }
+    if (article.title.length > MAX_ARTICLE_TITLE_LENGTH) {
+        return `Article title must be at most ${MAX_ARTICLE_TITLE_LENGTH} characters`;
+    }
+    if (article.description != null && typeof article.description !== 'string') {
+        return 'Article description must be a string';
+    }
+    if ((article.description || '').length > MAX_ARTICLE_DESCRIPTION_LENGTH) {
+        return `Article description must be at most ${MAX_ARTICLE_DESCRIPTION_LENGTH} characters`;
+    }
+    return null;
+}
+
+// The parts of a request's article that analyses use
+function articleInput(article) {
+    return {
+        title: article.title.trim(),
+        description: (article.description || '').trim(),
+        url: article.url
+    };
+}
+
+// The server's own copy of a request's article, as served by /api/news or
+// stored with its poll, or null if the server hasn't served it. Analyses are
+// generated and stored from this copy only, so text a client posts never
+// replaces one.
+function knownArticleInput(article) {
+    const known = servedArticles.find(article.url) || getPoll(getPollId(article.url))?.article;
+    return known ? articleInput(known) : null;
+}
+
+// Only allow admin routes when the request carries ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(403).json({ error: 'Admin access is not configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${adminToken}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Get the poll for an article, generating it on first request
 app.post('/api/generate-content', async (req, res) => {
     try {
         const { article } = req.body;
-        if (!article) {
-            console.error('No article provided in request');
-            return res.status(400).json({ error: 'Article is required' });
-        }
-
-        console.log('Generating poll content for article:', article.title);
-
-        const prompt = `Create a thought-provoking, opinion-based poll question specifically about this news article. The question should be directly related to the article's content and ask for people's views on the specific implications, outcomes, or ethical considerations raised in the article.
-
-Article Title: ${article.title}
-Article Description: ${article.description}
-
-Format your response exactly like this:
-poll question: [Your specific, opinion-based question about this article]
-option: [First opinion option that directly relates to the article]
-option: [Second opinion option that directly relates to the article]
-option: [Third opinion option that directly relates to the article]
-
-Example format (based on a tech article):
-poll question: Should companies be required to disclose their AI training data sources?
-option: Yes, transparency is crucial for ethical AI development
-option: No, it could expose trade secrets and competitive advantages
-option: Only for high-risk applications, with exceptions for proprietary data
-
-Remember:
-- Make the question SPECIFIC to this article's content
-- Focus on the article's unique aspects or implications
-- Create options that reflect different viewpoints on the article's specific topic
-- Avoid generic questions like "What's your take" or "Do you agree"
-- Make it controversial enough to spark debate
-- Each option should be a complete thought that relates to the article
-- Do not use any numbering or prefixes in the options`;
-
-        console.log('Initializing OpenAI client...');
-        const openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-
-        console.log('Making OpenAI API request...');
-        const response = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are a news analyst who creates engaging, opinion-based poll questions. Your questions should be specific to each article and spark meaningful debate about the article's unique aspects. Never use numbers or prefixes in the options. Focus on controversial aspects and ethical implications of the news story. Make questions that require people to take a stance on the specific issues raised in the article."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            temperature: 0.9,
-            max_tokens: 200
-        });
+        const invalid = validateArticleInput(article);
+        if (invalid) {
+            console.error('Invalid article in request:', invalid);
+            return res.status(400).json({ error: invalid });
+        }
 
-        console.log('OpenAI response received:', response);
-        
-        if (!response.choices || !response.choices[0] || !response.choices[0].message) {
-            console.error('Invalid OpenAI response format:', response);
-            throw new Error('Invalid response format from OpenAI');
+        // Polls are generated from the server's own copy of the article. An
+        // article the server never served can only get a poll that already
+        // exists.
+        const served = servedArticles.find(article.url);
+        const existing = getPoll(getPollId(article.url));
+        if (!served && !existing?.question) {
+            return res.status(404).json({ error: 'Article not found in the news feed' });
         }
 
-        res.json(response);
+        // The category the reader found the article in, used to filter history
+        const category = newsCategories.has(req.body.category) ? req.body.category : null;
+
+        const poll = await getOrCreatePoll({ ...(served || existing.article), category });
+        if (category && !poll.category) {
+            tagPollCategory(poll.id, category);
+        }
+        res.json(formatPollResponse(poll, req.user));
     } catch (error) {
         console.error('Error in generate-content endpoint:', error);
         console.error('Error details:', {
@@ -306,6 +792,660 @@ Remember:
     }
 });
 
+// Score an article for loaded language, one-sidedness and left/right lean.
+// Results are stored per article and reused until the served text changes.
+app.post('/api/analyze/bias', async (req, res) => {
+    try {
+        const invalid = validateArticleInput(req.body.article);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const article = knownArticleInput(req.body.article);
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found in the news feed' });
+        }
+        const analysis = await getOrCreateAnalysis('bias', article, generateBiasAnalysis);
+        res.json({ articleId: getArticleId(article.url), ...analysis });
+    } catch (error) {
+        console.error('Error analyzing bias:', error);
+        res.status(500).json({
+            error: 'Error analyzing bias',
+            message: error.message
+        });
+    }
+});
+
+// Neutral summary of an article at a reading level (basic, high-school or
+// expert) with a list of key terms. Each level is stored separately.
+app.post('/api/summarize', async (req, res) => {
+    try {
+        const invalid = validateArticleInput(req.body.article);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        const level = req.body.level || 'high-school';
+        if (!SUMMARY_LEVELS.includes(level)) {
+            return res.status(400).json({ error: `Level must be one of: ${SUMMARY_LEVELS.join(', ')}` });
+        }
+
+        const article = knownArticleInput(req.body.article);
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found in the news feed' });
+        }
+        const summary = await getOrCreateAnalysis(`summary:${level}`, article, input => generateSummary(input, level));
+        res.json({ articleId: getArticleId(article.url), ...summary });
+    } catch (error) {
+        console.error('Error summarizing article:', error);
+        res.status(500).json({
+            error: 'Error summarizing article',
+            message: error.message
+        });
+    }
+});
+
+// The story framed from progressive, conservative, libertarian and
+// affected-stakeholder viewpoints, each with counterarguments
+app.post('/api/perspectives', async (req, res) => {
+    try {
+        const invalid = validateArticleInput(req.body.article);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const article = knownArticleInput(req.body.article);
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found in the news feed' });
+        }
+        const perspectives = await getOrCreateAnalysis('perspectives', article, generatePerspectives);
+        res.json({ articleId: getArticleId(article.url), ...perspectives });
+    } catch (error) {
+        console.error('Error generating perspectives:', error);
+        res.status(500).json({
+            error: 'Error generating perspectives',
+            message: error.message
+        });
+    }
+});
+
+// Comprehension quiz for an article. The answer key stays on the server;
+// readers who already answered get their marked attempt instead.
+app.post('/api/quizzes', async (req, res) => {
+    try {
+        const invalid = validateArticleInput(req.body.article);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const article = knownArticleInput(req.body.article);
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found in the news feed' });
+        }
+        const quizId = getArticleId(article.url);
+        const quiz = await getOrCreateAnalysis('quiz', article, generateQuiz);
+        const attempt = getQuizAttempt(quizId, req.user?.id);
+        res.json({
+            quizId,
+            questions: publicQuestions(quiz.questions),
+            attempt: attempt ? formatAttempt(attempt) : null
+        });
+    } catch (error) {
+        console.error('Error generating quiz:', error);
+        res.status(500).json({
+            error: 'Error generating quiz',
+            message: error.message
+        });
+    }
+});
+
+// Submit answers to a quiz: { answers: [optionIndex, ...] }. Answers are
+// marked against the stored key, and any badges they earn are awarded.
+app.post('/api/quizzes/:quizId/answers', ensureUser, (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const quiz = getAnalysisById('quiz', quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const invalid = validateAnswers(quiz.questions, req.body.answers);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const attempt = recordQuizAttempt(quizId, req.user.id, gradeQuiz(quiz.questions, req.body.answers));
+        if (!attempt) {
+            return res.status(409).json({
+                error: 'You have already answered this quiz',
+                ...formatAttempt(getQuizAttempt(quizId, req.user.id))
+            });
+        }
+        console.log(`Quiz ${quizId} answered: ${attempt.correct}/${attempt.total}`);
+
+        const newBadges = awardBadges(req.user.id, badgeRules);
+        res.status(201).json({
+            ...formatAttempt(attempt),
+            newBadges,
+            stats: getUserStats(req.user.id)
+        });
+    } catch (error) {
+        console.error('Error submitting quiz answers:', error);
+        res.status(500).json({
+            error: 'Error submitting quiz answers',
+            message: error.message
+        });
+    }
+});
+
+// Mark glossary terms in an article's title and description. Returns the
+// text with term spans and the definitions of the terms found.
+app.post('/api/glossary/annotate', (req, res) => {
+    try {
+        const invalid = validateArticleInput(req.body.article);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const article = articleInput(req.body.article);
+        const title = glossary.annotate(article.title);
+        const description = glossary.annotate(article.description);
+        const ids = new Set([...title.spans, ...description.spans].map(span => span.termId));
+
+        // Suggest new terms in the background; they need review before use.
+        // Suggestions come from the server's copy of the article.
+        const known = GLOSSARY_SUGGESTIONS ? knownArticleInput(article) : null;
+        if (known) {
+            getOrCreateAnalysis('glossary', known, generateGlossarySuggestions).catch(error => {
+                console.error('Error suggesting glossary terms:', error.message);
+            });
+        }
+
+        res.json({
+            articleId: getArticleId(article.url),
+            title,
+            description,
+            terms: glossary.definitionsFor(ids)
+        });
+    } catch (error) {
+        console.error('Error annotating article:', error);
+        res.status(500).json({
+            error: 'Error annotating article',
+            message: error.message
+        });
+    }
+});
+
+// LLM-suggested glossary terms for moderators, filtered by ?status=
+// (pending by default, or approved, rejected or all)
+app.get('/api/admin/glossary', requireAdmin, (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be pending, approved, rejected or all' });
+    }
+    res.json({ terms: glossary.listSuggestions(status === 'all' ? null : status) });
+});
+
+// Approve a suggested term, optionally correcting its definition
+app.post('/api/admin/glossary/:termId/approve', requireAdmin, (req, res) => {
+    const { definition } = req.body;
+    if (definition !== undefined && (typeof definition !== 'string' || !definition.trim() || definition.length > 400)) {
+        return res.status(400).json({ error: 'Definition must be a non-empty string of at most 400 characters' });
+    }
+
+    const entry = glossary.reviewSuggestion(req.params.termId, { approve: true, definition: definition?.trim() });
+    if (!entry) {
+        return res.status(404).json({ error: 'Glossary term not found' });
+    }
+    console.log('Approved glossary term:', entry.term);
+    res.json({ term: entry });
+});
+
+// Reject a suggested term so it is never served or suggested again
+app.post('/api/admin/glossary/:termId/reject', requireAdmin, (req, res) => {
+    const entry = glossary.reviewSuggestion(req.params.termId, { approve: false });
+    if (!entry) {
+        return res.status(404).json({ error: 'Glossary term not found' });
+    }
+    console.log('Rejected glossary term:', entry.term);
+    res.json({ term: entry });
+});
+
+// Regenerate the question and options of a stored poll (admin only)
+app.post('/api/admin/polls/:pollId/regenerate', requireAdmin, async (req, res) => {
+    try {
+        const existing = getPoll(req.params.pollId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        console.log('Regenerating poll:', existing.id);
+        const poll = await getOrCreatePoll(existing.article, { regenerate: true });
+        // Regenerating clears the poll's votes
+        resultsStream.publish(poll.id);
+        res.json(formatPollResponse(poll, req.user));
+    } catch (error) {
+        console.error('Error regenerating poll:', error);
+        res.status(500).json({
+            error: 'Error regenerating poll',
+            message: error.message
+        });
+    }
+});
+
+// HTML partner sites paste to embed a poll
+function embedSnippet(req, pollId) {
+    return `<div data-pollit-poll="${pollId}"></div>\n<script src="${publicUrl(req)}/embed.js" async></script>`;
+}
+
+// List the polls partner sites may embed (admin only)
+app.get('/api/admin/embeds', requireAdmin, (req, res) => {
+    try {
+        res.json({ embeds: listEmbeds() });
+    } catch (error) {
+        console.error('Error listing embeds:', error);
+        res.status(500).json({
+            error: 'Error listing embeds',
+            message: error.message
+        });
+    }
+});
+
+// Allow a poll to be embedded on the given sites (admin only). Takes
+// { "origins": ["https://blog.example.com"] } and replaces any earlier list.
+app.post('/api/admin/embeds/:pollId', requireAdmin, (req, res) => {
+    try {
+        const poll = getPoll(req.params.pollId);
+        if (!poll?.question) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+        const { origins, error } = parseOrigins(req.body.origins);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const embed = saveEmbed(poll.id, origins);
+        console.log(`Poll ${poll.id} can be embedded on ${origins.join(', ')}`);
+        res.json({ embed, snippet: embedSnippet(req, poll.id) });
+    } catch (error) {
+        console.error('Error saving embed:', error);
+        res.status(500).json({
+            error: 'Error saving embed',
+            message: error.message
+        });
+    }
+});
+
+// Stop a poll from being embedded (admin only)
+app.post('/api/admin/embeds/:pollId/remove', requireAdmin, (req, res) => {
+    try {
+        if (!removeEmbed(req.params.pollId)) {
+            return res.status(404).json({ error: 'Embed not found' });
+        }
+        console.log('Removed embed for poll:', req.params.pollId);
+        res.json({ removed: true });
+    } catch (error) {
+        console.error('Error removing embed:', error);
+        res.status(500).json({
+            error: 'Error removing embed',
+            message: error.message
+        });
+    }
+});
+
+// Record a vote for a poll
+app.post('/api/polls/:pollId/votes', ensureUser, (req, res) => {
+    try {
+        const { pollId } = req.params;
+
+        const poll = getPoll(pollId);
+        if (!poll) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        // The body depends on the poll type: { option }, { options } or { ranking }
+        const { choice, error } = validateVote(poll, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (!recordVote(pollId, req.user.id, choice)) {
+            return res.status(409).json({
+                error: 'You have already voted in this poll',
+                userVote: userVoteFor(pollId, req.user),
+                ...getResults(pollId)
+            });
+        }
+        console.log(`Vote recorded for poll ${pollId}`);
+        resultsStream.publish(pollId);
+        awardBadges(req.user.id, badgeRules);
+
+        res.status(201).json({ userVote: choice, ...getResults(pollId) });
+    } catch (error) {
+        console.error('Error recording vote:', error);
+        res.status(500).json({
+            error: 'Error recording vote',
+            message: error.message
+        });
+    }
+});
+
+// Get current results for a poll
+app.get('/api/polls/:pollId/results', (req, res) => {
+    try {
+        const { pollId } = req.params;
+        if (!getPoll(pollId)) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        res.json({
+            userVote: userVoteFor(pollId, req.user),
+            ...getResults(pollId)
+        });
+    } catch (error) {
+        console.error('Error fetching poll results:', error);
+        res.status(500).json({
+            error: 'Error fetching poll results',
+            message: error.message
+        });
+    }
+});
+
+// Polls with the most recent voting activity. Each vote's weight halves every
+// TRENDING_HALF_LIFE_HOURS, so the score tracks vote velocity.
+app.get('/api/polls/trending', (req, res) => {
+    try {
+        const entries = getTrendingPolls({ ...pollFeedOptions(req.query), halfLifeHours: TRENDING_HALF_LIFE_HOURS });
+        console.log(`Trending feed: ${entries.length} polls`);
+        res.json({
+            status: 'ok',
+            articles: entries.map(entry => formatFeedArticle(entry, req.user))
+        });
+    } catch (error) {
+        console.error('Error fetching trending polls:', error);
+        res.status(500).json({
+            error: 'Error fetching trending polls',
+            message: error.message
+        });
+    }
+});
+
+// Polls whose votes are most evenly split, scored by normalized entropy
+app.get('/api/polls/divisive', (req, res) => {
+    try {
+        const entries = getDivisivePolls({ ...pollFeedOptions(req.query), minVotes: DIVISIVE_MIN_VOTES });
+        console.log(`Divisive feed: ${entries.length} polls`);
+        res.json({
+            status: 'ok',
+            articles: entries.map(entry => formatFeedArticle(entry, req.user))
+        });
+    } catch (error) {
+        console.error('Error fetching divisive polls:', error);
+        res.status(500).json({
+            error: 'Error fetching divisive polls',
+            message: error.message
+        });
+    }
+});
+
+// A poll with its article, shaped like a poll feed entry, so a shared poll
+// link can open straight to it
+app.get('/api/polls/:pollId', (req, res) => {
+    try {
+        const poll = getPoll(req.params.pollId);
+        if (!poll?.question) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+        res.json(formatFeedArticle({ poll, score: null, results: getResults(poll.id) }, req.user));
+    } catch (error) {
+        console.error('Error fetching poll:', error);
+        res.status(500).json({
+            error: 'Error fetching poll',
+            message: error.message
+        });
+    }
+});
+
+// Stream live results for a poll as Server-Sent Events
+app.get('/api/polls/:pollId/stream', (req, res) => {
+    try {
+        const { pollId } = req.params;
+        if (!getPoll(pollId)) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        console.log('Opening results stream for poll:', pollId);
+        resultsStream.subscribe(pollId, req, res);
+    } catch (error) {
+        console.error('Error opening results stream:', error);
+        res.status(500).json({
+            error: 'Error opening results stream',
+            message: error.message
+        });
+    }
+});
+
+// The current user's past votes with current results
+app.get('/api/me/votes', (req, res) => {
+    try {
+        if (!req.user) {
+            return res.json({ votes: [] });
+        }
+
+        const category = typeof req.query.category === 'string' && req.query.category !== 'all'
+            ? req.query.category
+            : undefined;
+        res.json({ votes: getVoteHistory(req.user.id, { category }) });
+    } catch (error) {
+        console.error('Error fetching vote history:', error);
+        res.status(500).json({
+            error: 'Error fetching vote history',
+            message: error.message
+        });
+    }
+});
+
+// The current user's quiz stats, streaks and badges (earned and locked).
+// Badges are checked again here so rules added to the badges file, and
+// progress merged in at login, are picked up.
+app.get('/api/me/achievements', (req, res) => {
+    try {
+        if (req.user) {
+            awardBadges(req.user.id, badgeRules);
+        }
+        res.json(getAchievements(req.user?.id, badgeRules));
+    } catch (error) {
+        console.error('Error fetching achievements:', error);
+        res.status(500).json({
+            error: 'Error fetching achievements',
+            message: error.message
+        });
+    }
+});
+
+// News categories, plus the keyword topics the reader follows
+app.get('/api/categories', (req, res) => {
+    try {
+        res.json({
+            categories: [...newsCategories.values()].map(formatCategory),
+            topics: getUserTopics(req.user?.id).map(formatTopic)
+        });
+    } catch (error) {
+        console.error('Error listing categories:', error);
+        res.status(500).json({
+            error: 'Error listing categories',
+            message: error.message
+        });
+    }
+});
+
+// Follow a keyword topic: { "name", "keywords": [...] }. Its news is served
+// from /api/news?topic=<id>.
+app.post('/api/me/topics', ensureUser, (req, res) => {
+    try {
+        const invalid = validateTopic(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const topic = followTopic(req.user.id, req.body);
+        if (!topic) {
+            return res.status(409).json({
+                error: `You can follow up to ${TOPIC_LIMITS.topicsPerUser} topics, each with a different name`
+            });
+        }
+        console.log(`User ${req.user.id} followed topic:`, topic.name);
+        res.status(201).json(formatTopic(topic));
+    } catch (error) {
+        console.error('Error following topic:', error);
+        res.status(500).json({
+            error: 'Error following topic',
+            message: error.message
+        });
+    }
+});
+
+// Stop following a topic
+app.post('/api/me/topics/:topicId/unfollow', (req, res) => {
+    try {
+        if (!req.user || !unfollowTopic(req.user.id, req.params.topicId)) {
+            return res.status(404).json({ error: 'Topic not found' });
+        }
+        res.json({ status: 'ok' });
+    } catch (error) {
+        console.error('Error unfollowing topic:', error);
+        res.status(500).json({
+            error: 'Error unfollowing topic',
+            message: error.message
+        });
+    }
+});
+
+// Create an account, upgrading the current anonymous session if there is one
+app.post('/api/auth/signup', async (req, res) => {
+    try {
+        await signUp(req, res);
+    } catch (error) {
+        console.error('Error signing up:', error);
+        res.status(500).json({
+            error: 'Error creating account',
+            message: error.message
+        });
+    }
+});
+
+// Log into an existing account
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        await logIn(req, res);
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            error: 'Error logging in',
+            message: error.message
+        });
+    }
+});
+
+// End the current session
+app.post('/api/auth/logout', (req, res) => {
+    logOut(req, res);
+});
+
+// The current user, or null for visitors without a session
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user ? formatUser(req.user) : null });
+});
+
+// Absolute URL of this server, for links in shared poll pages. Set
+// PUBLIC_URL when the Host header can't be trusted to give it.
+function publicUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Shareable poll page: the article and current results, server-rendered with
+// Open Graph and Twitter card tags so links unfurl with a preview
+app.get('/poll/:pollId', (req, res) => {
+    try {
+        const base = publicUrl(req);
+        const pollId = req.params.pollId;
+        const pageUrl = `${base}/poll/${encodeURIComponent(pollId)}`;
+        const poll = getPoll(pollId);
+        if (!poll?.question) {
+            return res.status(404).type('html').send(renderMissingPollPage({ pageUrl }));
+        }
+
+        const results = getResults(poll.id);
+        // The vote count in the image URL makes link previews refresh as
+        // votes come in
+        const imageUrl = `${base}/poll/${encodeURIComponent(poll.id)}/preview.png?v=${results.totalVotes}`;
+        const imageSrc = poll.article.urlToImage
+            ? `/api/proxy-image?${new URLSearchParams({ url: poll.article.urlToImage, w: '800', source: poll.article.source || '', category: poll.category || '', title: poll.article.title })}`
+            : null;
+        const appUrl = `${process.env.APP_URL || `${base}/`}?poll=${encodeURIComponent(poll.id)}`;
+
+        res.set('Cache-Control', 'public, max-age=60');
+        res.type('html').send(renderPollPage({ poll, results, pageUrl, imageUrl, imageSrc, appUrl }));
+    } catch (error) {
+        console.error('Error rendering poll page:', error);
+        res.status(500).send('Error rendering poll page');
+    }
+});
+
+// Open Graph preview image for a poll: the question and current result bars
+app.get('/poll/:pollId/preview.png', async (req, res) => {
+    try {
+        const poll = getPoll(req.params.pollId);
+        if (!poll?.question) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        const image = await renderPollPreviewPng(poll, getResults(poll.id));
+        res.set('Content-Type', 'image/png');
+        res.set('Cache-Control', 'public, max-age=300');
+        res.send(image);
+    } catch (error) {
+        console.error('Error rendering poll preview:', error);
+        res.status(500).json({
+            error: 'Error rendering poll preview',
+            message: error.message
+        });
+    }
+});
+
+// Poll widget shown in an iframe on partner sites by embed.js. The frame
+// policy limits it to the poll's allowlist; `origin` names the embedding site
+// so the widget can post messages to it.
+app.get('/embed/:pollId', (req, res) => {
+    try {
+        const poll = getPoll(req.params.pollId);
+        const embed = poll ? getEmbed(poll.id) : null;
+        res.set('Content-Security-Policy', embedFramePolicy(embed));
+        if (!poll?.question || !embed) {
+            return res.status(404).type('html').send(renderMissingEmbedPage());
+        }
+
+        const origin = normalizeOrigin(req.query.origin);
+        const hostOrigin = isEmbedOrigin(embed, origin) ? origin : null;
+        if (origin && !hostOrigin) {
+            console.warn(`Embed of poll ${poll.id} requested for unlisted site ${origin}`);
+        }
+
+        const pageUrl = `${publicUrl(req)}/poll/${encodeURIComponent(poll.id)}`;
+        // The page includes the reader's own vote
+        res.set('Cache-Control', 'private, no-cache');
+        res.type('html').send(renderEmbedPage({
+            poll: formatPollResponse(poll, req.user),
+            article: poll.article,
+            results: getResults(poll.id),
+            hostOrigin,
+            pageUrl
+        }));
+    } catch (error) {
+        console.error('Error rendering embed:', error);
+        res.status(500).send('Error rendering embed');
+    }
+});
+
 // Serve the main HTML file for all other routes
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
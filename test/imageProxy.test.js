@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedAddress, safeLookup, validateImageUrl } from '../lib/imageProxy.js';
+
+// safeLookup as a promise of { error, address }
+function lookup(hostname, options = {}) {
+    return new Promise(resolve => {
+        safeLookup(hostname, options, (error, address) => resolve({ error, address }));
+    });
+}
+
+test('isBlockedAddress: loopback', () => {
+    assert.equal(isBlockedAddress('127.0.0.1'), true);
+    assert.equal(isBlockedAddress('127.255.0.9'), true);
+    assert.equal(isBlockedAddress('::1'), true);
+});
+
+test('isBlockedAddress: private networks', () => {
+    for (const address of ['10.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1', 'fd00::1']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    assert.equal(isBlockedAddress('172.32.0.1'), false);
+});
+
+test('isBlockedAddress: link-local, including cloud metadata', () => {
+    assert.equal(isBlockedAddress('169.254.169.254'), true);
+    assert.equal(isBlockedAddress('fe80::1'), true);
+});
+
+test('isBlockedAddress: IPv4-mapped IPv6 addresses are checked as IPv4', () => {
+    assert.equal(isBlockedAddress('::ffff:127.0.0.1'), true);
+    assert.equal(isBlockedAddress('::ffff:7f00:1'), true);
+    assert.equal(isBlockedAddress('::ffff:192.168.0.1'), true);
+    assert.equal(isBlockedAddress('::ffff:8.8.8.8'), false);
+});
+
+test('isBlockedAddress: public addresses are allowed', () => {
+    assert.equal(isBlockedAddress('8.8.8.8'), false);
+    assert.equal(isBlockedAddress('2606:4700:4700::1111'), false);
+});
+
+test('validateImageUrl: refuses blocked IP literals, including mapped ones', () => {
+    for (const url of ['http://127.0.0.1/a.png', 'http://169.254.169.254/latest', 'http://[::1]/a.png', 'http://[::ffff:10.0.0.1]/a.png']) {
+        assert.throws(() => validateImageUrl(url), { status: 403 }, url);
+    }
+    assert.equal(validateImageUrl('https://8.8.8.8/a.png').hostname, '8.8.8.8');
+});
+
+test('safeLookup: refuses hostnames that resolve to blocked addresses', async () => {
+    const { error } = await lookup('localhost');
+
+    assert.equal(error.code, 'EBLOCKEDADDRESS');
+    assert.equal(error.status, 403);
+});
+
+test('safeLookup: passes public addresses through', async () => {
+    const { error, address } = await lookup('8.8.8.8');
+
+    assert.equal(error, null);
+    assert.equal(address, '8.8.8.8');
+});
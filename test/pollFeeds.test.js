@@ -0,0 +1,99 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep the database away from ./data; nothing here is saved
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pollit-feeds-'));
+const { default: db } = await import('../lib/db.js');
+const { getTrendingPolls, getDivisivePolls, splitEntropy } = await import('../lib/pollFeeds.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+function addPoll(id, options = ['A', 'B', 'C']) {
+    db.data.polls[id] = { id, type: 'single', question: `Question ${id}?`, options, article: { title: id, url: `https://example.com/${id}` } };
+}
+
+// Votes for a poll, as { option: count }, cast `hoursAgo` before NOW
+function addVotes(pollId, counts, hoursAgo = 0) {
+    for (const [option, count] of Object.entries(counts)) {
+        for (let i = 0; i < count; i++) {
+            db.data.votes.push({
+                pollId,
+                userId: `${pollId}-${option}-${hoursAgo}-${i}`,
+                option,
+                createdAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString()
+            });
+        }
+    }
+}
+
+beforeEach(() => {
+    db.data.polls = {};
+    db.data.votes = [];
+});
+
+test('splitEntropy: no votes and single-option polls score 0', () => {
+    assert.equal(splitEntropy([]), 0);
+    assert.equal(splitEntropy([0, 0, 0]), 0);
+    assert.equal(splitEntropy([7]), 0);
+});
+
+test('splitEntropy: an even split scores 1 and a one-sided split 0', () => {
+    assert.equal(splitEntropy([4, 4]), 1);
+    assert.ok(Math.abs(splitEntropy([3, 3, 3]) - 1) < 1e-12);
+    assert.equal(splitEntropy([6, 0, 0]), 0);
+
+    const lopsided = splitEntropy([9, 1]);
+    assert.ok(lopsided > 0 && lopsided < splitEntropy([6, 4]));
+});
+
+test('getDivisivePolls: orders by evenness, then vote count, and skips polls under minVotes', () => {
+    addPoll('even');
+    addVotes('even', { A: 2, B: 2, C: 2 });
+    addPoll('even-bigger');
+    addVotes('even-bigger', { A: 3, B: 3, C: 3 });
+    addPoll('one-sided');
+    addVotes('one-sided', { A: 6 });
+    addPoll('empty');
+    addPoll('too-few');
+    addVotes('too-few', { A: 1, B: 1 });
+
+    const feed = getDivisivePolls({ minVotes: 5 });
+
+    assert.deepEqual(feed.map(entry => entry.poll.id), ['even-bigger', 'even', 'one-sided']);
+    assert.equal(feed[0].score, 1);
+    assert.equal(feed[2].score, 0);
+});
+
+test('getTrendingPolls: an empty database has no trending polls', () => {
+    addPoll('quiet');
+    assert.deepEqual(getTrendingPolls({ now: NOW }), []);
+});
+
+test('getTrendingPolls: each vote counts half as much per half-life', () => {
+    addPoll('p');
+    addVotes('p', { A: 1 }, 0);
+    addVotes('p', { B: 1 }, 6);
+    addVotes('p', { C: 1 }, 12);
+
+    const [entry] = getTrendingPolls({ now: NOW, halfLifeHours: 6 });
+    assert.equal(entry.score, 1.75);
+    assert.equal(entry.results.totalVotes, 3);
+});
+
+test('getTrendingPolls: a few fresh votes outrank many stale ones, and very old votes drop out', () => {
+    addPoll('stale');
+    addVotes('stale', { A: 4 }, 20);
+    addPoll('fresh');
+    addVotes('fresh', { A: 1 }, 0);
+    addPoll('ancient');
+    addVotes('ancient', { A: 50 }, 61);
+
+    const feed = getTrendingPolls({ now: NOW, halfLifeHours: 6 });
+
+    assert.deepEqual(feed.map(entry => entry.poll.id), ['fresh', 'stale']);
+    assert.ok(feed[1].score < 0.5);
+});
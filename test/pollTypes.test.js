@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { instantRunoff, aggregateResults, LIKERT_OPTIONS } from '../lib/pollTypes.js';
+
+// `count` copies of a ballot
+function ballots(count, ranking) {
+    return Array.from({ length: count }, () => [...ranking]);
+}
+
+test('instantRunoff: a first-round majority wins outright', () => {
+    const result = instantRunoff(['A', 'B', 'C'], [['A', 'B'], ['A', 'C'], ['B', 'A']]);
+
+    assert.equal(result.winner, 'A');
+    assert.equal(result.rounds.length, 1);
+    assert.deepEqual(result.rounds[0], { counts: { A: 2, B: 1, C: 0 }, eliminated: null });
+});
+
+test('instantRunoff: eliminates the weakest option each round and transfers its ballots', () => {
+    const result = instantRunoff(['A', 'B', 'C', 'D'], [
+        ...ballots(3, ['A']),
+        ...ballots(2, ['B', 'C']),
+        ...ballots(2, ['C', 'B']),
+        ...ballots(1, ['D', 'C'])
+    ]);
+
+    assert.deepEqual(result.rounds.map(round => round.eliminated), ['D', 'B', null]);
+    assert.deepEqual(result.rounds[1].counts, { A: 3, B: 2, C: 3 });
+    assert.deepEqual(result.rounds[2].counts, { A: 3, C: 5 });
+    assert.equal(result.winner, 'C');
+});
+
+test('instantRunoff: a tie in the last round eliminates the option listed last', () => {
+    const result = instantRunoff(['A', 'B'], [['A'], ['B']]);
+
+    assert.equal(result.rounds[0].eliminated, 'B');
+    // The B ballot has no other preference, so it is exhausted
+    assert.deepEqual(result.rounds[1].counts, { A: 1 });
+    assert.equal(result.winner, 'A');
+});
+
+test('instantRunoff: no ballots means no winner', () => {
+    const result = instantRunoff(['A', 'B'], []);
+
+    assert.equal(result.winner, null);
+    assert.equal(result.rounds.length, 1);
+});
+
+test('instantRunoff: preferences for options that no longer exist are skipped', () => {
+    const result = instantRunoff(['A', 'B'], [['Removed', 'B'], ['Removed', 'B'], ['A']]);
+
+    assert.deepEqual(result.rounds[0].counts, { A: 1, B: 2 });
+    assert.equal(result.winner, 'B');
+});
+
+test('aggregateResults: votes for options that no longer exist get no result row', () => {
+    const poll = { id: 'p1', type: 'single', options: ['Yes', 'No'] };
+    const results = aggregateResults(poll, [{ option: 'Yes' }, { option: 'Removed' }]);
+
+    assert.deepEqual(results.results.map(result => result.option), ['Yes', 'No']);
+    assert.equal(results.results[0].count, 1);
+    assert.equal(results.totalVotes, 2);
+});
+
+test('aggregateResults: ranked polls report first preferences and the runoff winner', () => {
+    const poll = { id: 'p2', type: 'ranked', options: ['A', 'B', 'C'] };
+    const results = aggregateResults(poll, [
+        { ranking: ['A', 'B', 'C'] },
+        { ranking: ['B', 'A', 'C'] },
+        { ranking: ['C', 'B', 'A'] }
+    ]);
+
+    assert.deepEqual(results.results.map(result => result.count), [1, 1, 1]);
+    // All tied: C (listed last) goes first and its ballot moves to B
+    assert.equal(results.winner, 'B');
+    assert.equal(results.rounds.length, 2);
+});
+
+test('aggregateResults: likert polls report the average and share agreeing', () => {
+    const poll = { id: 'p3', type: 'likert', options: LIKERT_OPTIONS };
+    const results = aggregateResults(poll, [
+        { option: 'Strongly agree' },
+        { option: 'Agree' },
+        { option: 'Neutral' },
+        { option: 'Strongly disagree' }
+    ]);
+
+    assert.equal(results.average, 3.25);
+    assert.equal(results.agreePercentage, 50);
+    assert.equal(results.results.find(result => result.option === 'Agree').percentage, 25);
+});
+
+test('aggregateResults: likert polls without votes have no average', () => {
+    const poll = { id: 'p4', type: 'likert', options: LIKERT_OPTIONS };
+    const results = aggregateResults(poll, []);
+
+    assert.equal(results.average, null);
+    assert.equal(results.agreePercentage, 0);
+});
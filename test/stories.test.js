@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Story IDs groupStories files away are saved here rather than in ./data
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pollit-stories-'));
+const { clusterArticles, groupStories } = await import('../lib/stories.js');
+
+const WIRE_DESCRIPTION = 'The central bank raised its benchmark interest rate by a quarter point on Wednesday, citing persistent inflation in housing and services.';
+
+const reuters = {
+    source: 'Reuters',
+    title: 'Central bank raises interest rates by a quarter point - Reuters',
+    description: WIRE_DESCRIPTION,
+    url: 'https://www.reuters.com/markets/rates-rise',
+    publishedAt: '2025-06-01T10:00:00Z'
+};
+const guardian = {
+    source: 'The Guardian',
+    title: 'Central bank raises interest rates by a quarter point | The Guardian',
+    description: WIRE_DESCRIPTION,
+    url: 'https://www.theguardian.com/business/rates-rise',
+    publishedAt: '2025-06-01T10:30:00Z'
+};
+const bbc = {
+    source: 'BBC News',
+    title: 'Central bank raises interest rates by quarter point',
+    description: WIRE_DESCRIPTION,
+    url: 'https://www.bbc.co.uk/news/business-rates',
+    publishedAt: '2025-06-01T11:00:00Z'
+};
+const football = {
+    source: 'Sky Sports',
+    title: 'Late penalty settles cup final after extra time',
+    description: 'A stoppage-time penalty decided the cup final at Wembley after ninety minutes failed to separate the two sides.',
+    url: 'https://www.skysports.com/football/cup-final',
+    publishedAt: '2025-06-01T09:00:00Z'
+};
+const wildfire = {
+    source: 'AP',
+    title: 'Wildfire forces thousands to evacuate coastal towns',
+    description: 'Firefighters battled strong winds overnight as a wildfire spread toward several coastal towns, forcing mass evacuations.',
+    url: 'https://apnews.com/article/wildfire-evacuations',
+    publishedAt: '2025-06-01T08:00:00Z'
+};
+
+test('clusterArticles: near-duplicate headlines from different outlets are one story', () => {
+    const clusters = clusterArticles([reuters, football, guardian, bbc]);
+
+    assert.equal(clusters.length, 2);
+    assert.deepEqual(clusters[0], [reuters, guardian, bbc]);
+    assert.deepEqual(clusters[1], [football]);
+});
+
+test('clusterArticles: unrelated stories stay separate', () => {
+    const clusters = clusterArticles([reuters, football, wildfire]);
+
+    assert.deepEqual(clusters, [[reuters], [football], [wildfire]]);
+});
+
+test('groupStories: the earliest report stands for the story and the others are its coverage', () => {
+    const stories = groupStories([guardian, bbc, reuters, wildfire]);
+
+    assert.equal(stories.length, 2);
+    assert.equal(stories[0].url, reuters.url);
+    assert.deepEqual(stories[0].coverage.map(entry => entry.source), ['The Guardian', 'BBC News']);
+    assert.deepEqual(stories[1].coverage, []);
+});
+
+test('groupStories: an article never appears in its own coverage list', () => {
+    // The same article from a second feed, with tracking parameters
+    const copy = { ...reuters, url: 'https://reuters.com/markets/rates-rise?utm_source=rss' };
+    const stories = groupStories([reuters, copy, guardian]);
+
+    assert.equal(stories.length, 1);
+    const coverageUrls = stories[0].coverage.map(entry => entry.url);
+    assert.deepEqual(coverageUrls, [guardian.url]);
+    for (const story of stories) {
+        assert.ok(!story.coverage.some(entry => entry.url === story.url));
+    }
+});